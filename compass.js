@@ -0,0 +1,101 @@
+// ==================== IMPORTS ====================
+import * as THREE from './asset/three.module.js';
+import { planDirection } from './orientation.js';
+
+const NORTH_COLOR = 0xcc3333;
+const ROSE_COLOR = 0x555555;
+
+// ==================== COMPASS ROSE ====================
+// Flat rose on the ground, `radius` in size, pointing at the blueprint's north (see
+// orientation.js), with an "N" that always faces the camera. Its centre is the group's origin.
+export function createCompassRose(northAngle, radius) {
+  const group = new THREE.Group();
+  group.name = 'compass';
+  const rose = new THREE.MeshBasicMaterial({ color: ROSE_COLOR, side: THREE.DoubleSide });
+  const north = new THREE.MeshBasicMaterial({ color: NORTH_COLOR, side: THREE.DoubleSide });
+
+  const ring = new THREE.Mesh(new THREE.RingGeometry(radius * 0.9, radius, 48), rose);
+  ring.rotation.x = -Math.PI / 2;
+  group.add(ring);
+
+  // a long point towards each cardinal direction and a short one between them
+  for (let bearing = 0; bearing < 360; bearing += 45) {
+    const length = (bearing % 90 === 0) ? radius * 0.9 : radius * 0.55;
+    const tip = planDirection(bearing, northAngle);
+    const side = [-tip[1] * radius * 0.12, tip[0] * radius * 0.12];
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute([
+      side[0], 0, side[1],
+      tip[0] * length, 0, tip[1] * length,
+      -side[0], 0, -side[1]
+    ], 3));
+    group.add(new THREE.Mesh(geometry, (bearing === 0) ? north : rose));
+  }
+
+  const label = new THREE.Sprite(new THREE.SpriteMaterial({ map: letterTexture('N'), color: NORTH_COLOR }));
+  const at = planDirection(0, northAngle);
+  label.position.set(at[0] * radius * 1.3, radius * 0.2, at[1] * radius * 1.3);
+  label.scale.setScalar(radius * 0.4);
+  group.add(label);
+
+  return group;
+}
+
+function letterTexture(text) {
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = 64;
+  const context = canvas.getContext('2d');
+  context.font = 'bold 52px sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillStyle = '#ffffff';
+  context.fillText(text, 32, 34);
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+}
+
+// ==================== COMPASS OVERLAY ====================
+// Needle in the top-right corner, under the open button, showing where north is on screen: it
+// turns as the camera orbits, and looking straight down it is the north arrow of the plan.
+let overlay = null;
+let needle = null;
+let northDirection = [0, -1];
+
+export function showCompass(northAngle = 0) {
+  clearCompass();
+  northDirection = planDirection(0, northAngle);
+
+  overlay = document.createElement('div');
+  overlay.style.cssText =
+    'position:absolute;top:48px;right:10px;width:64px;height:64px;border-radius:50%;' +
+    'background:rgba(255,255,255,0.95);border:1px solid #999;box-shadow:0 2px 6px rgba(0,0,0,0.2);' +
+    'pointer-events:none;';
+  overlay.innerHTML =
+    '<svg viewBox="-32 -32 64 64" width="64" height="64" style="display:block">' +
+    '<g>' +
+    '<polygon points="0,-22 6,0 -6,0" fill="#c33"/>' +
+    '<polygon points="0,22 6,0 -6,0" fill="#999"/>' +
+    '<text x="0" y="-24" text-anchor="middle" font-family="sans-serif" font-size="10" font-weight="bold" fill="#c33">N</text>' +
+    '</g></svg>';
+  needle = overlay.querySelector('g');
+  document.body.appendChild(overlay);
+}
+
+// turn the needle for the camera's current view; call every frame
+export function updateCompass(camera) {
+  if (!needle) return;
+  // the plan direction that points up the screen: the camera's up, or where it looks when that
+  // is straight up
+  const up = new THREE.Vector3(0, 1, 0).applyQuaternion(camera.quaternion);
+  if (Math.hypot(up.x, up.z) < 1e-3) camera.getWorldDirection(up);
+  const [nx, nz] = northDirection;
+  const angle = Math.atan2(up.x * nz - up.z * nx, up.x * nx + up.z * nz);
+  needle.setAttribute('transform', `rotate(${angle * 180 / Math.PI})`);
+}
+
+export function clearCompass() {
+  if (overlay) overlay.remove();
+  overlay = null;
+  needle = null;
+}
@@ -0,0 +1,415 @@
+// ==================== PLAN GEOMETRY ====================
+// Plain 2D helpers shared by the builder and the linter. Points are [x, z] arrays on the plan as
+// the schema draws it (see point): seen from above, x to the right and z down the page, so
+// clockwise turns +x towards +z.
+
+// walls shorter than this are treated as zero-length
+export const EPSILON = 1e-6;
+
+export function wallLength(from, to) {
+  const dx = to[0] - from[0];
+  const dz = to[1] - from[1];
+  return Math.sqrt(dx * dx + dz * dz);
+}
+
+// bottom of an opening above the floor: windows default to 1m, doors sit on the floor
+export function openingSill(op) {
+  return (op.sillHeight !== undefined) ? op.sillHeight : (op.type === 'window' ? 1 : 0);
+}
+
+// positive when the polygon runs clockwise; polygons here are wound that way
+export function signedArea(polygon) {
+  let area = 0;
+  polygon.forEach((p, k) => {
+    const q = polygon[(k + 1) % polygon.length];
+    area += p[0] * q[1] - q[0] * p[1];
+  });
+  return area / 2;
+}
+
+// even-odd ray cast
+export function pointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, zi] = polygon[i];
+    const [xj, zj] = polygon[j];
+    if ((zi > point[1]) !== (zj > point[1]) &&
+        point[0] < (xj - xi) * (point[1] - zi) / (zj - zi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// ==================== WALL PATHS ====================
+// A wall runs straight from `from` to `to`, or along a circular arc when it has a non-zero
+// `bulge` (as in DXF: tan(sweep / 4); positive turns from +x towards +z, which is clockwise
+// seen from above, so the wall bows out away from its normal side).
+// wallPath() gives both kinds one interface, with positions measured as distance s along the
+// wall from `from`:
+//   length, pointAt(s), tangentAt(s) (unit), normalAt(s) (unit, the tangent turned a quarter
+//   clockwise: +z for a wall running along +x, on the right of someone walking along it),
+//   sample(s0, s1, offset) points from s0 to s1 shifted `offset` along the normal
+//   (a straight wall needs only its two ends, an arc one point per ARC_STEP of sweep),
+//   locate(point, tolerance) the s of a point lying on the wall, or null.
+// Names in the code call the side the normal points to the wall's left (its `left` face offset,
+// interiorOnLeft() in walls.js); comments call it the normal side.
+
+// sweep covered by one straight segment when an arc is drawn
+const ARC_STEP = Math.PI / 24;
+
+export function wallPath(w) {
+  const bulge = w.bulge || 0;
+  return Math.abs(bulge) < EPSILON ? linePath(w.from, w.to) : arcPath(w.from, w.to, bulge);
+}
+
+function linePath(from, to) {
+  const length = wallLength(from, to);
+  const dir = [(to[0] - from[0]) / length, (to[1] - from[1]) / length];
+  const pointAt = s => [from[0] + dir[0] * s, from[1] + dir[1] * s];
+  const normalAt = () => [-dir[1], dir[0]];
+  return {
+    arc: null,
+    from,
+    to,
+    length,
+    pointAt,
+    tangentAt: () => dir,
+    normalAt,
+    sample: (s0, s1, offset = 0) => [s0, s1].map(s => shiftPoint(pointAt(s), normalAt(s), offset)),
+    locate: (point, tolerance) => {
+      const px = point[0] - from[0];
+      const pz = point[1] - from[1];
+      const along = px * dir[0] + pz * dir[1];
+      const across = Math.abs(px * dir[1] - pz * dir[0]);
+      return (across < tolerance && along > -tolerance && along < length + tolerance) ? along : null;
+    }
+  };
+}
+
+function arcPath(from, to, bulge) {
+  const chord = wallLength(from, to);
+  const sweep = 4 * Math.atan(bulge);
+  const radius = chord / (2 * Math.sin(Math.abs(sweep) / 2));
+  // centre sits on the normal side of the chord for a positive bulge (turning clockwise)
+  const toCentre = (chord / 2) / Math.tan(sweep / 2);
+  const center = [
+    (from[0] + to[0]) / 2 - (to[1] - from[1]) / chord * toCentre,
+    (from[1] + to[1]) / 2 + (to[0] - from[0]) / chord * toCentre
+  ];
+  const start = Math.atan2(from[1] - center[1], from[0] - center[0]);
+  const sign = Math.sign(sweep);
+  const length = radius * Math.abs(sweep);
+
+  const angleAt = s => start + sign * s / radius;
+  const pointAt = s => {
+    if (s <= 0) return from;
+    if (s >= length) return to;
+    const a = angleAt(s);
+    return [center[0] + radius * Math.cos(a), center[1] + radius * Math.sin(a)];
+  };
+  const tangentAt = s => {
+    const a = angleAt(s);
+    return [-sign * Math.sin(a), sign * Math.cos(a)];
+  };
+  const normalAt = s => {
+    const t = tangentAt(s);
+    return [-t[1], t[0]];
+  };
+
+  return {
+    arc: { center, radius, start, sweep },
+    from,
+    to,
+    length,
+    pointAt,
+    tangentAt,
+    normalAt,
+    sample: (s0, s1, offset = 0) => {
+      const steps = Math.max(1, Math.ceil(Math.abs(s1 - s0) / radius / ARC_STEP));
+      const points = [];
+      for (let k = 0; k <= steps; k++) {
+        const s = s0 + (s1 - s0) * k / steps;
+        points.push(shiftPoint(pointAt(s), normalAt(s), offset));
+      }
+      return points;
+    },
+    locate: (point, tolerance) => {
+      if (Math.abs(wallLength(center, point) - radius) > tolerance) return null;
+      // angle from the start, in the direction of travel, wrapped to [0, 2π)
+      const a = Math.atan2(point[1] - center[1], point[0] - center[0]);
+      const turned = ((sign * (a - start)) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+      const s = turned * radius;
+      if (s <= length + tolerance) return Math.min(s, length);
+      // just before the start
+      return (2 * Math.PI * radius - s < tolerance) ? 0 : null;
+    }
+  };
+}
+
+export function shiftPoint(point, normal, distance) {
+  return [point[0] + normal[0] * distance, point[1] + normal[1] * distance];
+}
+
+// ==================== ROOM OUTLINES ====================
+// A room's floor is a polygon, or { outline, holes } for one with shafts or stair voids in it.
+export function floorPolygon(room) {
+  return Array.isArray(room.floor) ? room.floor : room.floor.outline;
+}
+
+export function floorHoles(room) {
+  return (room.floor && !Array.isArray(room.floor)) ? (room.floor.holes || []) : [];
+}
+
+// The room's outline: its floor polygon, or else its walls traced end to end (in order when
+// they do not close). Floor edges that coincide with an arc wall (either way round) follow the arc.
+export function roomOutline(room) {
+  if (!room.floor) {
+    const loop = wallLoop(room.walls) || room.walls.map(wall => ({ wall, reversed: false }));
+    return loop.flatMap(({ wall, reversed }) => {
+      const path = wallPath(wall);
+      if (path.length < EPSILON) return [wall.from];
+      return (reversed ? path.sample(path.length, 0) : path.sample(0, path.length)).slice(0, -1);
+    });
+  }
+
+  const floor = floorPolygon(room);
+  const arcs = room.walls.filter(w => Math.abs(w.bulge || 0) >= EPSILON);
+  return floor.flatMap((p, k) => {
+    const q = floor[(k + 1) % floor.length];
+    const same = arcs.find(w => samePoint(w.from, p) && samePoint(w.to, q));
+    if (same) {
+      const path = wallPath(same);
+      return path.sample(0, path.length).slice(0, -1);
+    }
+    const reversed = arcs.find(w => samePoint(w.from, q) && samePoint(w.to, p));
+    if (reversed) {
+      const path = wallPath(reversed);
+      return path.sample(path.length, 0).slice(0, -1);
+    }
+    return [p];
+  });
+}
+
+// The room's walls as one closed loop, each joining the end of the one before it, whatever
+// order and direction they are listed in: [{ wall, reversed }], or null when they do not close
+// (a gap, a dangling wall or a second loop). Zero-length walls are left out.
+export function wallLoop(walls) {
+  const rest = walls.filter(w => wallLength(w.from, w.to) >= EPSILON);
+  if (rest.length < 2) return null;
+
+  const loop = [{ wall: rest.shift(), reversed: false }];
+  const start = loop[0].wall.from;
+  let end = loop[0].wall.to;
+  while (rest.length > 0 && !samePoint(end, start)) {
+    const k = rest.findIndex(w => samePoint(w.from, end) || samePoint(w.to, end));
+    if (k < 0) return null;
+    const [wall] = rest.splice(k, 1);
+    const reversed = !samePoint(wall.from, end);
+    loop.push({ wall, reversed });
+    end = reversed ? wall.from : wall.to;
+  }
+  return (rest.length === 0 && samePoint(end, start)) ? loop : null;
+}
+
+function samePoint(a, b) {
+  return wallLength(a, b) < 1e-3;
+}
+
+// ==================== OPENING PROFILES ====================
+// Outline of an opening in the plane of its wall, counter-clockwise: x across the opening from
+// its centre (towards the `to` end of the wall it is listed on), y up from its sill.
+//   rect     width × height (the default)
+//   arch     straight sides under a circular top `rise` high (half the width, a semicircle,
+//            if absent; never more)
+//   round    the ellipse inside width × height, a circle when they are equal
+//   polygon  `profile` points [x, y] measured from the bottom left corner of width × height
+//            (rect without them; the linter reports it)
+export function openingProfile(op) {
+  const w = op.width / 2;
+  const h = op.height;
+
+  if (op.shape === 'arch') {
+    const rise = Math.min(op.rise ?? w, w, h);
+    const radius = (w * w + rise * rise) / (2 * rise);
+    const sweep = Math.asin(w / radius);
+    const steps = Math.max(2, Math.ceil(2 * sweep / ARC_STEP));
+    const top = [];
+    for (let k = 0; k <= steps; k++) {
+      const a = sweep - 2 * sweep * k / steps;
+      top.push([radius * Math.sin(a), h - radius + radius * Math.cos(a)]);
+    }
+    // a full-height arch starts right at the sill
+    return [[-w, 0], [w, 0]].filter(p => p[1] < top[0][1] - EPSILON).concat(top);
+  }
+
+  if (op.shape === 'round') {
+    const steps = Math.round(2 * Math.PI / ARC_STEP);
+    return Array.from({ length: steps }, (_, k) => {
+      const a = -Math.PI / 2 + 2 * Math.PI * k / steps;
+      return [w * Math.cos(a), h / 2 + h / 2 * Math.sin(a)];
+    });
+  }
+
+  if (op.shape === 'polygon' && op.profile) {
+    const points = op.profile.map(([x, y]) => [x - w, y]);
+    return signedArea(points) < 0 ? points.reverse() : points;
+  }
+
+  return [[-w, 0], [w, 0], [w, h], [-w, h]];
+}
+
+// ==================== FOOTPRINTS ====================
+// Outer boundaries of the union of clockwise polygons that touch or overlap (rooms and the walls
+// around them), clockwise and largest first; holes such as courtyards are left out.
+export function unionOutlines(polygons) {
+  return outlineLoops(polygons, outside => !polygons.some(polygon => pointInPolygon(outside, polygon)));
+}
+
+// the same for the area two clockwise polygons both cover, e.g. a roof plane cut to
+// the outline of the roof
+export function intersectOutlines(a, b) {
+  return outlineLoops([a, b], (outside, inside) => pointInPolygon(inside, a) && pointInPolygon(inside, b));
+}
+
+// Edges are split wherever they meet another edge, and a piece is on the boundary when
+// `keep(outside, inside)` holds for points just outside its own polygon and just inside it.
+function outlineLoops(polygons, keep) {
+  const edges = polygons.flatMap(polygon => polygon.map((p, k) => [p, polygon[(k + 1) % polygon.length]]));
+
+  const boundary = new Map();
+  edges.forEach(([a, b]) => {
+    const cuts = [0, 1];
+    edges.forEach(([c, d]) => cuts.push(...crossings(a, b, c, d)));
+    cuts.sort((s, t) => s - t);
+
+    for (let k = 1; k < cuts.length; k++) {
+      if (cuts[k] - cuts[k - 1] < EPSILON) continue;
+      const p = lerp(a, b, cuts[k - 1]);
+      const q = lerp(a, b, cuts[k]);
+      const length = wallLength(p, q);
+      const mid = lerp(p, q, 0.5);
+      const side = [(q[1] - p[1]) / length * 1e-4, -(q[0] - p[0]) / length * 1e-4];
+      if (!keep([mid[0] + side[0], mid[1] + side[1]], [mid[0] - side[0], mid[1] - side[1]])) continue;
+      boundary.set(`${pointKey(p)} ${pointKey(q)}`, [p, q]); // same piece from two polygons counts once
+    }
+  });
+
+  // chain the pieces into loops
+  const next = new Map();
+  boundary.forEach(([p, q]) => {
+    if (!next.has(pointKey(p))) next.set(pointKey(p), []);
+    next.get(pointKey(p)).push(q);
+  });
+  const loops = [];
+  next.forEach((targets, key) => {
+    while (targets.length > 0) {
+      const loop = [];
+      let at = key;
+      while (next.has(at) && next.get(at).length > 0) {
+        const q = next.get(at).shift();
+        loop.push(q);
+        at = pointKey(q);
+        if (at === key) break;
+      }
+      if (at === key && loop.length >= 3) loops.push(dropCollinear([loop[loop.length - 1], ...loop.slice(0, -1)]));
+    }
+  });
+
+  return loops.filter(loop => signedArea(loop) > EPSILON).sort((a, b) => signedArea(b) - signedArea(a));
+}
+
+// the polygon with every edge moved `distance` outwards (inwards when negative); polygon
+// clockwise, corners mitred
+export function offsetPolygon(polygon, distance) {
+  const n = polygon.length;
+  const lines = polygon.map((p, k) => {
+    const q = polygon[(k + 1) % n];
+    const length = wallLength(p, q);
+    const normal = [(q[1] - p[1]) / length, -(q[0] - p[0]) / length]; // away from the normal side = outside
+    return { p: shiftPoint(p, normal, distance), dir: [(q[0] - p[0]) / length, (q[1] - p[1]) / length] };
+  });
+  return lines.map((line, k) => {
+    const prev = lines[(k + n - 1) % n];
+    const denom = prev.dir[0] * line.dir[1] - prev.dir[1] * line.dir[0];
+    if (Math.abs(denom) < EPSILON) return line.p;
+    const t = ((line.p[0] - prev.p[0]) * line.dir[1] - (line.p[1] - prev.p[1]) * line.dir[0]) / denom;
+    return [prev.p[0] + prev.dir[0] * t, prev.p[1] + prev.dir[1] * t];
+  });
+}
+
+// smallest rectangle around the points: { center, axis, length, width } where axis is the unit
+// direction of its longer side (length) and width is the shorter one
+export function orientedRectangle(points) {
+  const hull = convexHull(points);
+  let best = null;
+  hull.forEach((p, k) => {
+    const q = hull[(k + 1) % hull.length];
+    const length = wallLength(p, q);
+    if (length < EPSILON) return;
+    const u = [(q[0] - p[0]) / length, (q[1] - p[1]) / length];
+    const along = hull.map(h => h[0] * u[0] + h[1] * u[1]);
+    const across = hull.map(h => -h[0] * u[1] + h[1] * u[0]);
+    const [a0, a1] = [Math.min(...along), Math.max(...along)];
+    const [c0, c1] = [Math.min(...across), Math.max(...across)];
+    const area = (a1 - a0) * (c1 - c0);
+    if (best && area >= best.area - EPSILON) return;
+    const [am, cm] = [(a0 + a1) / 2, (c0 + c1) / 2];
+    const center = [am * u[0] - cm * u[1], am * u[1] + cm * u[0]];
+    best = (a1 - a0 >= c1 - c0)
+      ? { area, center, axis: u, length: a1 - a0, width: c1 - c0 }
+      : { area, center, axis: [-u[1], u[0]], length: c1 - c0, width: a1 - a0 };
+  });
+  const { area, ...rectangle } = best;
+  return rectangle;
+}
+
+// clockwise, monotone chain
+function convexHull(points) {
+  const sorted = points.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const half = list => {
+    const chain = [];
+    list.forEach(p => {
+      while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], p) <= EPSILON) chain.pop();
+      chain.push(p);
+    });
+    return chain.slice(0, -1);
+  };
+  return half(sorted).concat(half(sorted.slice().reverse()));
+}
+
+// where segment cd meets segment ab, as fractions of ab (crossings, touching ends, or the
+// ends of a collinear overlap)
+function crossings(a, b, c, d) {
+  const r = [b[0] - a[0], b[1] - a[1]];
+  const s = [d[0] - c[0], d[1] - c[1]];
+  const denom = r[0] * s[1] - r[1] * s[0];
+  const ac = [c[0] - a[0], c[1] - a[1]];
+  const rr = r[0] * r[0] + r[1] * r[1];
+
+  if (Math.abs(denom) < EPSILON * Math.sqrt(rr)) {
+    // parallel: only collinear overlaps matter
+    if (Math.abs(ac[0] * r[1] - ac[1] * r[0]) > EPSILON * Math.sqrt(rr)) return [];
+    return [c, d].map(p => ((p[0] - a[0]) * r[0] + (p[1] - a[1]) * r[1]) / rr).filter(t => t > 0 && t < 1);
+  }
+  const t = (ac[0] * s[1] - ac[1] * s[0]) / denom;
+  const u = (ac[0] * r[1] - ac[1] * r[0]) / denom;
+  return (t > 0 && t < 1 && u >= -EPSILON && u <= 1 + EPSILON) ? [t] : [];
+}
+
+function dropCollinear(polygon) {
+  return polygon.filter((p, k) => {
+    const prev = polygon[(k + polygon.length - 1) % polygon.length];
+    const next = polygon[(k + 1) % polygon.length];
+    return Math.abs((p[0] - prev[0]) * (next[1] - p[1]) - (p[1] - prev[1]) * (next[0] - p[0])) > EPSILON;
+  });
+}
+
+function lerp(a, b, t) {
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+}
+
+function pointKey(p) {
+  return `${p[0].toFixed(5)},${p[1].toFixed(5)}`;
+}
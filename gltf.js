@@ -0,0 +1,300 @@
+// ==================== IMPORTS ====================
+import * as THREE from './asset/three.module.js';
+
+// GLB container: header, then a JSON and a binary chunk
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+
+// accessor component types and buffer view targets
+const FLOAT = 5126;
+const UNSIGNED_INT = 5125;
+const ARRAY_BUFFER = 34962;
+const ELEMENT_ARRAY_BUFFER = 34963;
+
+// twice the area of the smallest triangle written, in square metres
+const AREA_EPSILON = 1e-9;
+
+// image formats a glTF file may embed
+const IMAGE_TYPES = ['image/png', 'image/jpeg'];
+
+const ATTRIBUTES = { position: 'POSITION', normal: 'NORMAL', uv: 'TEXCOORD_0' };
+const ITEM_TYPES = { 1: 'SCALAR', 2: 'VEC2', 3: 'VEC3', 4: 'VEC4' };
+
+// ==================== GLB EXPORT ====================
+// Writes `object` and everything below it as a binary glTF 2.0 file; resolves to an ArrayBuffer.
+// Groups and meshes become nodes with the objects' names and transforms, each material group of
+// a mesh a primitive, and MeshStandardMaterial the metallic-roughness model. Texture images are
+// fetched again from their path (see materials.js) and embedded, so the file stands alone; their
+// repeat becomes a texture transform. Only what the model builds is supported: no skins, morphs,
+// lights, cameras or sprites.
+export function exportGLB(object) {
+  const writer = new GLTFWriter();
+  writer.json.scene = 0;
+  writer.json.scenes = [{ nodes: [writer.node(object)] }];
+  return writer.embedImages().then(() => writer.glb());
+}
+
+class GLTFWriter {
+  constructor() {
+    this.json = {
+      asset: { version: '2.0', generator: 'Blueprint to 3D' },
+      nodes: [],
+      meshes: [],
+      materials: [],
+      accessors: [],
+      bufferViews: [],
+      buffers: []
+    };
+    this.chunks = [];
+    this.byteLength = 0;
+    // textures whose image json.images holds a placeholder for, in order
+    this.images = [];
+    this.cache = { meshes: new Map(), materials: new Map(), textures: new Map() };
+  }
+
+  node(object) {
+    const node = { name: object.name || undefined };
+    if (!object.position.equals(new THREE.Vector3())) node.translation = object.position.toArray();
+    if (!object.quaternion.equals(new THREE.Quaternion())) node.rotation = object.quaternion.toArray();
+    if (!object.scale.equals(new THREE.Vector3(1, 1, 1))) node.scale = object.scale.toArray();
+    const mesh = object.isMesh ? this.mesh(object) : null;
+    if (mesh !== null) node.mesh = mesh;
+
+    const children = object.children.filter(child => child.isMesh || child.type === 'Group' || child.type === 'Object3D');
+    if (children.length > 0) node.children = children.map(child => this.node(child));
+
+    this.json.nodes.push(node);
+    return this.json.nodes.length - 1;
+  }
+
+  // one primitive per material group, or one for the whole geometry; degenerate triangles (CSG
+  // slivers, zero-height sides) are left out with the vertices only they use, as their normals
+  // are zero. null when nothing is left
+  mesh(object) {
+    const { geometry } = object;
+    const materials = [].concat(object.material);
+    const key = [geometry.uuid, ...materials.map(m => m.uuid)].join(' ');
+    if (this.cache.meshes.has(key)) return this.cache.meshes.get(key);
+
+    const count = geometry.index ? geometry.index.count : geometry.attributes.position.count;
+    const groups = (Array.isArray(object.material) && geometry.groups.length > 0)
+      ? geometry.groups
+      : [{ start: 0, count, materialIndex: 0 }];
+    const vertex = k => (geometry.index ? geometry.index.getX(k) : k);
+    const parts = groups.filter(group => materials[group.materialIndex]).map(group => {
+      const triangles = [];
+      for (let k = group.start; k + 2 < Math.min(group.start + group.count, count); k += 3) {
+        const triangle = [vertex(k), vertex(k + 1), vertex(k + 2)];
+        if (!degenerate(geometry.attributes.position, triangle)) triangles.push(...triangle);
+      }
+      return { triangles, material: materials[group.materialIndex] };
+    }).filter(({ triangles }) => triangles.length > 0);
+
+    let mesh = null;
+    if (parts.length > 0) {
+      // the vertices that are used, in order of first use
+      const used = new Map();
+      parts.forEach(part => {
+        part.triangles = part.triangles.map(v => {
+          if (!used.has(v)) used.set(v, used.size);
+          return used.get(v);
+        });
+      });
+      const vertices = Array.from(used.keys());
+
+      const attributes = {};
+      Object.entries(ATTRIBUTES).forEach(([name, semantic]) => {
+        if (geometry.attributes[name]) attributes[semantic] = this.attribute(geometry.attributes[name], semantic, vertices);
+      });
+      const primitives = parts.map(part => ({
+        attributes,
+        indices: this.accessor(Uint32Array.from(part.triangles), 1, UNSIGNED_INT, ELEMENT_ARRAY_BUFFER),
+        material: this.material(part.material)
+      }));
+
+      this.json.meshes.push({ name: object.name || undefined, primitives });
+      mesh = this.json.meshes.length - 1;
+    }
+    this.cache.meshes.set(key, mesh);
+    return mesh;
+  }
+
+  // the values of `vertices`; positions carry their bounds, normals are made exactly unit length
+  // and texture coordinates start at the top of the image in glTF
+  attribute(attribute, semantic, vertices) {
+    const size = attribute.itemSize;
+    const values = new Float32Array(vertices.length * size);
+    vertices.forEach((v, k) => {
+      for (let c = 0; c < size; c++) values[k * size + c] = attribute.getComponent(v, c);
+      if (semantic === 'NORMAL') {
+        const length = Math.hypot(values[k * 3], values[k * 3 + 1], values[k * 3 + 2]);
+        if (length > 0) for (let c = 0; c < 3; c++) values[k * 3 + c] /= length;
+      }
+      if (semantic === 'TEXCOORD_0') values[k * 2 + 1] = 1 - values[k * 2 + 1];
+    });
+    return this.accessor(values, size, FLOAT, ARRAY_BUFFER, semantic === 'POSITION');
+  }
+
+  accessor(values, itemSize, componentType, target, bounds = false) {
+    const accessor = {
+      bufferView: this.bufferView(values, target),
+      componentType,
+      count: values.length / itemSize,
+      type: ITEM_TYPES[itemSize]
+    };
+    if (bounds) {
+      accessor.min = [];
+      accessor.max = [];
+      for (let c = 0; c < itemSize; c++) {
+        let [min, max] = [Infinity, -Infinity];
+        for (let k = c; k < values.length; k += itemSize) {
+          min = Math.min(min, values[k]);
+          max = Math.max(max, values[k]);
+        }
+        accessor.min.push(min);
+        accessor.max.push(max);
+      }
+    }
+    this.json.accessors.push(accessor);
+    return this.json.accessors.length - 1;
+  }
+
+  // every view starts 4 byte aligned: image files are padded after them
+  bufferView(values, target) {
+    const bytes = new Uint8Array(values.buffer, values.byteOffset, values.byteLength);
+    this.json.bufferViews.push({ buffer: 0, byteOffset: this.byteLength, byteLength: bytes.length, target });
+    const aligned = padded(bytes, 0);
+    this.chunks.push(aligned);
+    this.byteLength += aligned.length;
+    return this.json.bufferViews.length - 1;
+  }
+
+  material(material) {
+    if (this.cache.materials.has(material)) return this.cache.materials.get(material);
+
+    const color = material.color ? material.color.toArray() : [1, 1, 1];
+    const pbr = {
+      baseColorFactor: [...color, material.opacity ?? 1],
+      metallicFactor: material.metalness ?? 0,
+      roughnessFactor: material.roughness ?? 1
+    };
+    const result = { name: material.name || undefined, pbrMetallicRoughness: pbr };
+    if (material.map) pbr.baseColorTexture = this.texture(material.map);
+    if (material.roughnessMap) pbr.metallicRoughnessTexture = this.texture(material.roughnessMap);
+    if (material.normalMap) result.normalTexture = this.texture(material.normalMap);
+    if (material.transparent) result.alphaMode = 'BLEND';
+    if (material.side === THREE.DoubleSide) result.doubleSided = true;
+
+    this.json.materials.push(result);
+    this.cache.materials.set(material, this.json.materials.length - 1);
+    return this.json.materials.length - 1;
+  }
+
+  // a texture info for the image of `texture` (see embedImages()), repeating like it
+  texture(texture) {
+    if (!this.cache.textures.has(texture)) {
+      const json = this.json;
+      json.images = json.images || [];
+      json.samplers = json.samplers || [{ wrapS: 10497, wrapT: 10497 }]; // REPEAT
+      json.textures = json.textures || [];
+      json.images.push({});
+      this.images.push(texture);
+      json.textures.push({ sampler: 0, source: json.images.length - 1 });
+      this.cache.textures.set(texture, json.textures.length - 1);
+    }
+
+    const info = { index: this.cache.textures.get(texture) };
+    if (texture.repeat.x !== 1 || texture.repeat.y !== 1) {
+      info.extensions = { KHR_texture_transform: { scale: texture.repeat.toArray() } };
+      this.json.extensionsUsed = ['KHR_texture_transform'];
+    }
+    return info;
+  }
+
+  // put the image files of the textures in the binary chunk, after the geometry
+  embedImages() {
+    return Promise.all(this.images.map(imageFile)).then(files => {
+      files.forEach(({ bytes, mimeType }, k) => {
+        this.json.images[k] = { bufferView: this.bufferView(bytes), mimeType };
+      });
+    });
+  }
+
+  glb() {
+    // empty lists are not allowed
+    Object.keys(this.json).forEach(key => {
+      if (Array.isArray(this.json[key]) && this.json[key].length === 0) delete this.json[key];
+    });
+    if (this.byteLength > 0) this.json.buffers = [{ byteLength: this.byteLength }];
+
+    const json = padded(new TextEncoder().encode(JSON.stringify(this.json)), 0x20);
+    const bin = padded(concat(this.chunks, this.byteLength), 0);
+    const length = 12 + 8 + json.length + (bin.length > 0 ? 8 + bin.length : 0);
+
+    const glb = new ArrayBuffer(length);
+    const view = new DataView(glb);
+    const bytes = new Uint8Array(glb);
+    view.setUint32(0, GLB_MAGIC, true);
+    view.setUint32(4, 2, true);
+    view.setUint32(8, length, true);
+
+    let offset = 12;
+    [[json, CHUNK_JSON], [bin, CHUNK_BIN]].forEach(([data, type]) => {
+      if (data.length === 0) return;
+      view.setUint32(offset, data.length, true);
+      view.setUint32(offset + 4, type, true);
+      bytes.set(data, offset + 8);
+      offset += 8 + data.length;
+    });
+    return glb;
+  }
+}
+
+// ==================== HELPERS ====================
+// the file `texture` was loaded from as { bytes, mimeType }: PNG and JPEG as they are, other
+// formats (which glTF does not allow) redrawn as PNG
+function imageFile(texture) {
+  return fetch(texture.name)
+    .then(res => {
+      if (!res.ok) throw new Error(`${texture.name}: ${res.status} ${res.statusText}`);
+      return res.blob();
+    })
+    .then(blob => (IMAGE_TYPES.includes(blob.type) ? blob : pngOf(texture.image)))
+    .then(blob => blob.arrayBuffer().then(buffer => ({ bytes: new Uint8Array(buffer), mimeType: blob.type })));
+}
+
+function pngOf(image) {
+  const canvas = document.createElement('canvas');
+  canvas.width = image.width;
+  canvas.height = image.height;
+  canvas.getContext('2d').drawImage(image, 0, 0);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not convert a texture to PNG'))), 'image/png');
+  });
+}
+
+// a triangle (three vertex indices) with no area
+function degenerate(position, [a, b, c]) {
+  const [p, q, r] = [a, b, c].map(v => new THREE.Vector3().fromBufferAttribute(position, v));
+  return q.sub(p).cross(r.sub(p)).lengthSq() < AREA_EPSILON * AREA_EPSILON;
+}
+
+function concat(chunks, length) {
+  const all = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    all.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return all;
+}
+
+// GLB chunks are 4 byte aligned: JSON padded with spaces, binary with zeros
+function padded(bytes, fill) {
+  const length = Math.ceil(bytes.length / 4) * 4;
+  if (length === bytes.length) return bytes;
+  const result = new Uint8Array(length).fill(fill);
+  result.set(bytes);
+  return result;
+}
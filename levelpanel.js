@@ -0,0 +1,55 @@
+// ==================== IMPORTS ====================
+import { overlayPanel, panelHeading, linkButton } from './panel.js';
+
+// ==================== LEVEL PANEL ====================
+// Overlay in the bottom-left corner for multi-storey blueprints: a checkbox per level to show
+// or hide it, "only" to isolate one and "all" to show every level again.
+// Levels are { name, group }; what is hidden is remembered by level name across reloads.
+let panel = null;
+
+const hidden = new Set();
+
+export function showLevels(levels) {
+  clearLevels();
+  levels.forEach(level => (level.group.visible = !hidden.has(level.name)));
+  if (levels.length < 2) return;
+
+  panel = overlayPanel('bottom:10px;left:10px;');
+  panel.appendChild(panelHeading('Levels', linkButton('all', () => {
+    hidden.clear();
+    showLevels(levels);
+  })));
+
+  // top level first, like a section through the building
+  levels.slice().reverse().forEach(level => {
+    const row = document.createElement('div');
+
+    const label = document.createElement('label');
+    label.style.cursor = 'pointer';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = level.group.visible;
+    box.addEventListener('change', () => {
+      if (box.checked) hidden.delete(level.name);
+      else hidden.add(level.name);
+      level.group.visible = box.checked;
+    });
+    label.appendChild(box);
+    label.appendChild(document.createTextNode(` ${level.name} `));
+    row.appendChild(label);
+
+    row.appendChild(linkButton('only', () => {
+      hidden.clear();
+      levels.forEach(other => { if (other !== level) hidden.add(other.name); });
+      showLevels(levels);
+    }));
+    panel.appendChild(row);
+  });
+
+  document.body.appendChild(panel);
+}
+
+export function clearLevels() {
+  if (panel) panel.remove();
+  panel = null;
+}
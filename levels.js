@@ -0,0 +1,34 @@
+// ==================== LEVELS ====================
+// A blueprint is a single storey (top-level `rooms`) or a stack of `levels`, each with its own
+// rooms. blueprintLevels() gives both the same shape, one entry per level:
+//   { index, name, elevation, height, slabThickness, path, bp }
+// where height is floor-to-floor, path prefixes the level's error paths ('' or 'levels[1].')
+// and bp is a blueprint for that level alone (the level's defaults over the top-level ones,
+// rooms = the level's rooms), which the single-storey code builds and lints unchanged.
+const DEFAULT_SLAB_THICKNESS = 0.2;
+
+export function blueprintLevels(bp) {
+  const { levels, ...settings } = bp;
+  const slabThickness = bp.slabThickness ?? DEFAULT_SLAB_THICKNESS;
+
+  if (!levels) {
+    return [{ index: 0, name: 'Level 0', elevation: 0, height: bp.wallHeight, slabThickness, path: '', bp: settings }];
+  }
+
+  // a level without an elevation sits on top of the one below
+  let elevation = 0;
+  return levels.map((level, l) => {
+    const wallHeight = level.wallHeight ?? level.height ?? bp.wallHeight;
+    const entry = {
+      index: l,
+      name: level.name || `Level ${l}`,
+      elevation: level.elevation ?? elevation,
+      height: level.height ?? wallHeight,
+      slabThickness: level.slabThickness ?? slabThickness,
+      path: `levels[${l}].`,
+      bp: { ...settings, wallHeight, wallThickness: level.wallThickness ?? bp.wallThickness, rooms: level.rooms }
+    };
+    elevation = entry.elevation + entry.height;
+    return entry;
+  });
+}
@@ -0,0 +1,211 @@
+// ==================== IMPORTS ====================
+import { EPSILON, wallLength, wallPath, openingSill, wallLoop, orientedRectangle, signedArea } from './geometry.js';
+import { mergeSharedWalls, outerFootprints, wallHeight, wallThickness } from './walls.js';
+import { pitchedSpans } from './roof.js';
+import { blueprintLevels } from './levels.js';
+import { builtInMaterials } from './materials.js';
+
+// openings closer than this to a wall end get a warning (they cut into the corner)
+const END_CLEARANCE = 0.05;
+// footprints falling this much (m²) short of the rectangle around them are not rectangles
+const RECTANGLE_SLACK = 0.01;
+
+// ==================== LINT ====================
+// Geometric checks on a schema-valid blueprint. Returns a list of
+// { severity: 'error' | 'warning', path, message, level, room, wall } where level/room/wall are
+// indices (level 0 for single-storey blueprints).
+export function lintBlueprint(bp) {
+  const issues = [];
+  const levels = blueprintLevels(bp);
+
+  if (bp.levels && bp.rooms) {
+    issues.push({ severity: 'warning', path: 'rooms', message: 'rooms is ignored when the blueprint has levels; move them into a level' });
+  }
+
+  // each level must start at or above the top of the one below
+  levels.forEach((level, l) => {
+    const below = levels[l - 1];
+    if (!below || level.elevation >= below.elevation + below.height - EPSILON) return;
+    const path = `levels[${l}]`;
+    issues.push({
+      severity: 'warning',
+      path,
+      message: `${path} elevation (${level.elevation}m) is below the top of levels[${l - 1}] (${round(below.elevation + below.height)}m)`,
+      level: l
+    });
+  });
+
+  levels.forEach(level => lintLevel(level, issues));
+  (bp.stairs || []).forEach((stair, s) => lintStair(stair, levels, `stairs[${s}]`, issues));
+  if (bp.roof && bp.roof.type !== 'flat') lintRoof(bp.roof, levels[levels.length - 1], issues);
+  return issues;
+}
+
+// a pitched roof spans the rectangle around the footprints under it and is cut to their outline
+function lintRoof(roof, top, issues) {
+  pitchedSpans(roof, outerFootprints(top.bp)).forEach(({ footprints }) => {
+    const { length, width } = orientedRectangle(footprints.flat());
+    const area = footprints.reduce((sum, footprint) => sum + signedArea(footprint), 0);
+    if (area >= length * width - RECTANGLE_SLACK) return;
+    issues.push({
+      severity: 'warning',
+      path: 'roof',
+      message: `roof spans a ${round(length)} × ${round(width)}m rectangle over ${round(area)}m² of building; ` +
+        'it is cut to the building rather than fitted to its shape, and walls inside the rectangle are filled up to it',
+      level: top.index
+    });
+  });
+}
+
+function lintStair(stair, levels, path, issues) {
+  const fromIndex = stair.fromLevel ?? 0;
+  const report = msg => issues.push({ severity: 'error', path, message: `${path} ${msg}`, level: fromIndex });
+
+  const from = levels[fromIndex];
+  if (!from) {
+    report(`starts on level ${fromIndex}, but the blueprint has ${levels.length} level(s)`);
+    return;
+  }
+  if (stair.toLevel === undefined) return;
+  const to = levels[stair.toLevel];
+  if (!to) {
+    report(`arrives at level ${stair.toLevel}, but the blueprint has ${levels.length} level(s)`);
+  } else if (to.elevation <= from.elevation) {
+    report(`arrives at level ${stair.toLevel}, which is not above level ${fromIndex}`);
+  }
+}
+
+function lintLevel(level, issues) {
+  const bp = level.bp;
+  const issue = (severity, path, message, r, i) =>
+    issues.push({ severity, path, message, level: level.index, room: r, wall: i });
+
+  // material references must name a blueprint material or a built-in one
+  const known = new Set(builtInMaterials().concat(Object.keys(bp.materials || {})));
+  const lintMaterial = (value, where, report) => {
+    const names = (typeof value === 'string') ? [value] : Object.values(value || {});
+    names.filter(name => !known.has(name)).forEach(name => {
+      report('warning', where, `refers to undefined material "${name}"; the default is used`);
+    });
+  };
+
+  bp.rooms.forEach((room, r) => {
+    room.walls.forEach((w, i) => {
+      const path = `${level.path}rooms[${r}].walls[${i}]`;
+      const report = (severity, where, msg) => issue(severity, where, `${where} ${msg}`, r, i);
+
+      lintWall(w, wallHeight(bp, room, w), wallThickness(bp, room, w), path, report);
+      lintMaterial(w.material, `${path}.material`, report);
+      (w.openings || []).forEach((op, k) => lintMaterial(op.material, `${path}.openings[${k}].material`, report));
+    });
+
+    const roomReport = (severity, where, msg) => issue(severity, where, `${where} ${msg}`, r);
+    Object.values(room.material || {}).forEach(value => lintMaterial(value, `${level.path}rooms[${r}].material`, roomReport));
+
+    // without a floor polygon the floor and ceiling are traced along the walls
+    if (!room.floor && !wallLoop(room.walls)) {
+      const path = `${level.path}rooms[${r}]`;
+      issue('warning', path, `${path} walls do not close into a loop, so no floor or ceiling can be traced; give it a floor`, r);
+    }
+  });
+
+  // rooms sharing a wall must agree about its openings
+  const shared = mergeSharedWalls(bp);
+  // ...and about its thickness; the thicker one is built (a taller neighbour simply wins,
+  // e.g. a parapet running along a full-height wall)
+  shared.walls.forEach(w => w.sources.forEach(src => {
+    const room = bp.rooms[src.room];
+    const thickness = wallThickness(bp, room, room.walls[src.wall]);
+    if (thickness >= w.thickness) return;
+    const path = `${level.path}rooms[${src.room}].walls[${src.wall}]`;
+    issue('warning', path,
+      `${path} thickness (${thickness}m) is less than another room gives the shared wall; ${w.thickness}m is built`,
+      src.room, src.wall);
+  }));
+
+  shared.conflicts.forEach(({ kept, dropped }) => {
+    const keptPath = `${level.path}rooms[${kept.room}].walls[${kept.wall}].openings[${kept.opening}]`;
+    const droppedPath = `${level.path}rooms[${dropped.room}].walls[${dropped.wall}].openings[${dropped.opening}]`;
+    issue('warning', droppedPath,
+      `${droppedPath} conflicts with ${keptPath} on a shared wall; only ${keptPath} is built`,
+      dropped.room, dropped.wall);
+  });
+}
+
+function lintWall(w, height, thickness, path, report) {
+  if (wallLength(w.from, w.to) < EPSILON) {
+    report('error', path, 'has zero length (from equals to)');
+    return;
+  }
+  // openings are placed by distance along the wall, which for an arc is longer than its chord
+  const length = wallPath(w).length;
+  if (length < thickness) {
+    report('warning', path, `is shorter (${round(length)}m) than the wall thickness`);
+  }
+
+  const openings = w.openings || [];
+  const spans = openings.map((op, k) => ({
+    k,
+    start: op.offset - op.width / 2,
+    end: op.offset + op.width / 2
+  }));
+
+  openings.forEach((op, k) => {
+    const where = `${path}.openings[${k}]`;
+    const { start, end } = spans[k];
+
+    if (start < 0 || end > length) {
+      report('error', where, `overflows the wall: spans ${round(start)}..${round(end)}m on a ${round(length)}m wall`);
+    } else if (start < END_CLEARANCE || length - end < END_CLEARANCE) {
+      report('warning', where, `is less than ${END_CLEARANCE}m from the end of the wall`);
+    }
+
+    // a pocket door slides into the wall beside it, towards `from` (or `to` when hinged right)
+    if (op.type === 'pocket-door') {
+      const beside = (op.hinge === 'right') ? length - end : start;
+      if (beside < op.width) {
+        report('warning', where, `has ${round(Math.max(beside, 0))}m of wall to slide into; it needs ${op.width}m`);
+      }
+    }
+
+    lintShape(op, where, report);
+
+    const top = openingSill(op) + op.height;
+    if (top > height) {
+      report('error', where, `top (${round(top)}m) is above the wall height (${height}m)`);
+    }
+  });
+
+  // pairwise overlap along the wall
+  const sorted = spans.slice().sort((a, b) => a.start - b.start);
+  let reach = sorted[0];
+  for (let j = 1; j < sorted.length; j++) {
+    const cur = sorted[j];
+    if (cur.start < reach.end - EPSILON) {
+      report('error', `${path}.openings[${cur.k}]`, `overlaps ${path}.openings[${reach.k}]`);
+    }
+    if (cur.end > reach.end) reach = cur;
+  }
+}
+
+function lintShape(op, where, report) {
+  if (op.shape === 'polygon') {
+    if (!op.profile) {
+      report('error', where, 'is a polygon opening without a profile; it is built rectangular');
+      return;
+    }
+    const outside = op.profile.some(([x, y]) => x < -EPSILON || x > op.width + EPSILON || y < -EPSILON || y > op.height + EPSILON);
+    if (outside) report('warning', where, `profile reaches outside the opening's ${op.width} × ${op.height}m`);
+  }
+  if (op.shape === 'arch' && op.rise > Math.min(op.width / 2, op.height)) {
+    report('warning', where, `rise (${op.rise}m) is more than half the width or the height; the arch is built lower`);
+  }
+  if (op.type === 'window' && op.style && op.style !== 'fixed' && op.shape && op.shape !== 'rect') {
+    report('warning', where, `style ${op.style} is ignored on a shaped window; it is built fixed`);
+  }
+}
+
+// ==================== HELPERS ====================
+function round(v) {
+  return Math.round(v * 1000) / 1000;
+}
@@ -0,0 +1,61 @@
+// ==================== LIVE RELOAD ====================
+// Dev mode for hand-authoring blueprints: open the page with ?live (or ?live=500 for the
+// poll interval in ms) and the blueprint URL is re-fetched periodically; onChange(raw)
+// fires whenever the file's text changes. Works with any static file server.
+const DEFAULT_INTERVAL = 1000;
+
+// poll interval requested by ?live, or 0 when live reload is off
+export function liveReloadInterval() {
+  const value = new URLSearchParams(window.location.search).get('live');
+  if (value === null) return 0;
+  return Number(value) > 0 ? Number(value) : DEFAULT_INTERVAL;
+}
+
+// starts polling `url`; returns a function that stops it
+export function watchBlueprint(url, interval, onChange, onError) {
+  let lastText = null;
+  let timer = null;
+  let stopped = false;
+  let failing = false;
+
+  const poll = () => {
+    fetch(url, { cache: 'no-store' })
+      .then(res => {
+        if (!res.ok) throw new Error(`${url}: ${res.status} ${res.statusText}`);
+        return res.text();
+      })
+      .then(text => {
+        failing = false;
+        if (stopped || text === lastText) return;
+        const first = (lastText === null);
+        lastText = text;
+        if (first) return; // baseline, the page already shows this version
+
+        let raw;
+        try {
+          raw = JSON.parse(text);
+        } catch (err) {
+          // probably saved mid-edit; report and wait for the next save
+          onError(new Error(`${url} is not valid JSON: ${err.message}`));
+          return;
+        }
+        onChange(raw);
+      })
+      .catch(err => {
+        // report once per outage, not on every poll
+        if (!failing) console.warn('Live reload:', err.message);
+        failing = true;
+      })
+      .finally(() => {
+        if (!stopped) timer = setTimeout(poll, interval);
+      });
+  };
+
+  poll();
+  console.info(`Live reload: watching ${url} every ${interval}ms`);
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
@@ -0,0 +1,72 @@
+// ==================== BLUEPRINT LOADER ====================
+// Gets blueprint JSON from a URL, the "Open blueprint" button or a file dropped on the canvas.
+// Every source ends in onLoad(raw, source) where source is { name, url? }; failures go to onError(err).
+
+// blueprint requested with ?bp=path.json, or the fallback
+export function initialBlueprintUrl(fallback) {
+  return new URLSearchParams(window.location.search).get('bp') || fallback;
+}
+
+export function loadFromUrl(url) {
+  return fetch(url)
+    .then(res => {
+      if (!res.ok) throw new Error(`${url}: ${res.status} ${res.statusText}`);
+      return res.text();
+    })
+    .then(text => parseJson(text, url));
+}
+
+export function loadFromFile(file) {
+  return file.text().then(text => parseJson(text, file.name));
+}
+
+export function initLoader({ dropTarget, onLoad, onError }) {
+  const openFile = file => {
+    loadFromFile(file)
+      .then(raw => onLoad(raw, { name: file.name }))
+      .catch(onError);
+  };
+
+  // file picker button
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.json,application/json';
+  input.style.display = 'none';
+  input.addEventListener('change', () => {
+    if (input.files.length > 0) openFile(input.files[0]);
+    input.value = ''; // allow picking the same file again
+  });
+
+  const button = document.createElement('button');
+  button.textContent = 'Open blueprint…';
+  button.style.cssText =
+    'position:absolute;top:10px;right:10px;padding:6px 12px;font:13px sans-serif;cursor:pointer;';
+  button.addEventListener('click', event => {
+    event.stopPropagation(); // not a door click
+    input.click();
+  });
+
+  document.body.appendChild(input);
+  document.body.appendChild(button);
+
+  // drag and drop onto the canvas
+  dropTarget.addEventListener('dragover', event => {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  });
+  dropTarget.addEventListener('drop', event => {
+    event.preventDefault();
+    const file = Array.from(event.dataTransfer.files).find(f => /\.json$/i.test(f.name) || f.type === 'application/json');
+    if (file) openFile(file);
+    else onError(new Error('Drop a .json blueprint file'));
+  });
+}
+
+// ==================== HELPERS ====================
+function parseJson(text, name) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${name} is not valid JSON: ${err.message}`);
+  }
+}
@@ -1,13 +1,39 @@
 // ==================== IMPORTS ====================
 import * as THREE from './asset/three.module.js';
 import { OrbitControls } from './asset/OrbitControls.js';
-import CSG from './asset/three-csg.js';
+import { migrateBlueprint } from './migrate.js';
+import { loadSchema, validateBlueprint } from './validate.js';
+import { lintBlueprint } from './lint.js';
+import { showMessages, clearMessages } from './panel.js';
+import { showLevels, clearLevels } from './levelpanel.js';
+import { showSunPanel, clearSunPanel } from './sunpanel.js';
+import { sunDirection, siteTime } from './sun.js';
+import { createCompassRose, showCompass, updateCompass, clearCompass } from './compass.js';
+import { initLoader, initialBlueprintUrl, loadFromUrl } from './loader.js';
+import { BlueprintModel, disposeObject } from './model.js';
+import { exportGLB } from './gltf.js';
+import { liveReloadInterval, watchBlueprint } from './livereload.js';
 
 // ==================== GLOBALS ====================
 let scene, camera, renderer, controls;
 
-// array to update door pivots each frame
-const doorPivots = [];
+// daylight: the sun and the sky around it (see placeSun())
+let sun, sky;
+
+// compass rose on the ground beside the plan
+let compassRose = null;
+
+// everything built from the current blueprint
+let model;
+
+// name of the current blueprint's file, without .json, for exports
+let modelName = 'blueprint';
+
+// outline of the wall picked in the issue panel
+let selectionBox = null;
+
+// stops polling the current blueprint URL (live reload dev mode)
+let stopWatching = null;
 
 // ==================== INIT ====================
 function init() {
@@ -19,6 +45,12 @@ function init() {
 
   renderer = new THREE.WebGLRenderer({ antialias: true });
   renderer.setSize(window.innerWidth, window.innerHeight);
+  // physically based materials (see materials.js) want a filmic response and sRGB output
+  renderer.toneMapping = THREE.ACESFilmicToneMapping;
+  renderer.toneMappingExposure = 1.0;
+  renderer.outputColorSpace = THREE.SRGBColorSpace;
+  renderer.shadowMap.enabled = true;
+  renderer.shadowMap.type = THREE.PCFSoftShadowMap;
   document.body.appendChild(renderer.domElement);
 
   controls = new OrbitControls(camera, renderer.domElement);
@@ -27,11 +59,20 @@ function init() {
   controls.target.set(5, 0, 5);
   controls.update();
 
-  // Lights
-  scene.add(new THREE.AmbientLight(0xffffff, 0.6));
-  const dirLight = new THREE.DirectionalLight(0xffffff, 0.8);
-  dirLight.position.set(10, 20, 10);
-  scene.add(dirLight);
+  // Lights: sky above and bounce from the ground, plus the sun, which casts shadows
+  sky = new THREE.HemisphereLight(0xffffff, 0x8d7f6e, SKY_INTENSITY);
+  scene.add(sky);
+  sun = new THREE.DirectionalLight(0xffffff, SUN_INTENSITY);
+  sun.castShadow = true;
+  sun.shadow.mapSize.set(2048, 2048);
+  sun.shadow.bias = -0.0005;
+  sun.shadow.normalBias = 0.02;
+  scene.add(sun);
+  scene.add(sun.target);
+
+  model = new BlueprintModel(scene);
+
+  initExport();
 
   window.addEventListener('resize', onWindowResize);
   window.addEventListener('click', onClick);
@@ -48,168 +89,195 @@ function onWindowResize() {
 function animate() {
   requestAnimationFrame(animate);
 
-  // update door pivots (smooth lerp)
-  for (const dp of doorPivots) {
-    const cur = dp.rotation.y;
-    const target = dp.userData.targetAngle;
-    // simple lerp
-    dp.rotation.y = THREE.MathUtils.lerp(cur, target, 0.18);
+  // ease doors and windows towards open or closed (simple lerp)
+  for (const door of model.doors) {
+    door.progress = THREE.MathUtils.lerp(door.progress, door.isOpen ? 1 : 0, 0.18);
+    door.pose(door.progress);
   }
 
   controls.update();
+  updateCompass(camera);
   renderer.render(scene, camera);
 }
 
-// ==================== HELPERS ====================
-function pointAlongWall(from, to, offset) {
-  const dx = to[0] - from[0];
-  const dz = to[1] - from[1];
-  const length = Math.sqrt(dx * dx + dz * dz);
-  return [from[0] + (dx / length) * offset, from[1] + (dz / length) * offset];
-}
-
-// ==================== WALLS ====================
-function createWallWithOpenings(from, to, height, thickness, openings = []) {
-  const dx = to[0] - from[0];
-  const dz = to[1] - from[1];
-  const length = Math.sqrt(dx * dx + dz * dz);
-
-  // base wall mesh
-  const wallGeom = new THREE.BoxGeometry(length, height, thickness);
-  const wallMat = new THREE.MeshPhongMaterial({ color: 0x999999 });
-  const wall = new THREE.Mesh(wallGeom, wallMat);
-
-  // rotation math
-  const angle = Math.atan2(dz, dx); // angle along +X
-  wall.position.set((from[0] + to[0]) / 2, height / 2, (from[1] + to[1]) / 2);
-  wall.rotation.y = -angle; // negative because world Z/X orientation
-  wall.updateMatrix();
-
-  // convert to CSG
-  let wallCSG = CSG.fromMesh(wall);
-
-  // process openings
-  openings.forEach(op => {
-    // compute hole placement
-    const pos = pointAlongWall(from, to, op.offset);
-
-    // default sill (windows) or ground (doors)
-    const sill = (op.sill !== undefined) ? op.sill : (op.type === 'window' ? 1 : 0);
-
-    // create hole (centered at pos.x,pos.z but lifted by sill)
-    const holeGeom = new THREE.BoxGeometry(op.width, op.height, thickness + 0.05);
-    const hole = new THREE.Mesh(holeGeom);
-    hole.position.set(pos[0], sill + op.height / 2, pos[1]);
-    hole.rotation.y = -angle;
-    hole.updateMatrix();
-
-    wallCSG = wallCSG.subtract(CSG.fromMesh(hole));
-
-    // ---------- create visible door or window meshes ----------
-    if (op.type === 'door') {
-      // door depth ~ wall thickness * 0.9
-      const doorDepth = Math.max(0.02, thickness * 0.9);
-      const doorGeom = new THREE.BoxGeometry(op.width, op.height, doorDepth);
-      const doorMat = new THREE.MeshPhongMaterial({ color: 0x8b4513 });
-      const doorMesh = new THREE.Mesh(doorGeom, doorMat);
-
-      // We want hinge on the LEFT edge (when looking at hole from outside along wall direction).
-      // Approach: place a pivot at the hinge edge, rotate pivot, and inside pivot place doorMesh offset so it occupies the hole.
-      // doorMesh is centered at its geometry center; to move mesh so hinge aligns, we offset doorMesh along local X by +op.width/2
-      doorMesh.position.set(op.width / 2, 0, 0); // local to pivot
-
-      // small inward offset to sit inside the wall thickness
-      const inset = (thickness - doorDepth) / 2; // how much the door should be pushed into the wall
-      doorMesh.position.z = -inset; // negative along local Z to go into wall
-
-      // create pivot group
-      const doorPivot = new THREE.Group();
-      doorPivot.add(doorMesh);
-
-      // compute hinge world position: hinge is at hole center minus half-width along wall direction
-      const hingeWorldX = pos[0] - Math.cos(angle) * (op.width / 2);
-      const hingeWorldZ = pos[1] - Math.sin(angle) * (op.width / 2);
-      const hingeWorldY = sill + op.height / 2;
-
-      doorPivot.position.set(hingeWorldX, hingeWorldY, hingeWorldZ);
-
-      // set pivot base rotation to align with wall
-      const baseRotation = -angle;
-      doorPivot.rotation.y = baseRotation;
-
-      // userData for animation: closed = baseRotation, open = baseRotation + swing (default +90deg)
-      const swing = (op.hinge === 'right') ? -Math.PI / 2 : Math.PI / 2; // allow JSON override hinge:right
-      doorPivot.userData = {
-        closedAngle: baseRotation,
-        openAngle: baseRotation + swing,
-        targetAngle: baseRotation,
-        isOpen: false
-      };
-
-      // use name so click traversal can detect it
-      doorPivot.name = 'doorPivot';
-
-      // add to scene & tracking array for animation updates
-      scene.add(doorPivot);
-      doorPivots.push(doorPivot);
-    }
+// ==================== SUN ====================
+const SUN_INTENSITY = 2.0;
+const SKY_INTENSITY = 1.5;
+const NIGHT_SKY_INTENSITY = 0.3;
+// the sun warms towards the horizon
+const LOW_SUN_COLOR = new THREE.Color(0xffb070);
+const HIGH_SUN_COLOR = new THREE.Color(0xffffff);
+// towards the sun when the blueprint has no site: high, off to one side
+const DEFAULT_SUN = new THREE.Vector3(10, 20, 10).normalize().toArray();
+
+// follow the sun over the blueprint's site (a time slider picks the moment), or keep the
+// default one
+function showSun(bp) {
+  if (!bp.site) {
+    clearSunPanel();
+    placeSun(DEFAULT_SUN);
+    return;
+  }
+  showSunPanel((day, minutes) => placeSun(sunDirection(siteTime(day, minutes, bp.site), bp.site, bp.northAngle)));
+}
 
-    if (op.type === 'window') {
-      const winGeom = new THREE.BoxGeometry(op.width, op.height, 0.05);
-      const winMat = new THREE.MeshPhongMaterial({ color: 0x87ceeb, transparent: true, opacity: 0.5 });
-      const win = new THREE.Mesh(winGeom, winMat);
-      win.position.set(pos[0], sill + op.height / 2, pos[1]);
-      win.rotation.y = -angle;
-      scene.add(win);
-    }
-  });
+// shine the sun from `direction` ([x, y, z] towards it) on the whole plan, its shadow camera
+// fitted around it; it fades out as it sets and the sky dims with it
+function placeSun(direction) {
+  const towards = new THREE.Vector3().fromArray(direction);
+  const bounds = new THREE.Box3().setFromObject(model.root);
+  const sphere = bounds.isEmpty() ? new THREE.Sphere(new THREE.Vector3(), 10) : bounds.getBoundingSphere(new THREE.Sphere());
+  const radius = Math.max(sphere.radius, 1);
+
+  sun.target.position.copy(sphere.center);
+  sun.position.copy(sphere.center).addScaledVector(towards, 2 * radius);
+  const shadow = sun.shadow.camera;
+  [shadow.left, shadow.right, shadow.bottom, shadow.top] = [-radius, radius, -radius, radius];
+  shadow.near = radius;
+  shadow.far = 3 * radius;
+  shadow.updateProjectionMatrix();
+
+  const daylight = THREE.MathUtils.smoothstep(towards.y, -0.05, 0.1);
+  sun.intensity = SUN_INTENSITY * daylight;
+  sun.color.lerpColors(LOW_SUN_COLOR, HIGH_SUN_COLOR, THREE.MathUtils.smoothstep(towards.y, 0, 0.5));
+  sky.intensity = THREE.MathUtils.lerp(NIGHT_SKY_INTENSITY, SKY_INTENSITY, daylight);
+}
+
+// ==================== COMPASS ====================
+// a rose beside the plan's far right corner, sized to the plan, and the needle overlay
+function placeCompass(bp) {
+  clearCompassRose();
+  showCompass(bp.northAngle);
+
+  const bounds = new THREE.Box3().setFromObject(model.root);
+  if (bounds.isEmpty()) return;
+  const size = bounds.getSize(new THREE.Vector3());
+  const radius = THREE.MathUtils.clamp(Math.max(size.x, size.z) * 0.08, 0.5, 2);
+  compassRose = createCompassRose(bp.northAngle || 0, radius);
+  compassRose.position.set(bounds.max.x + 2 * radius, 0.01, bounds.min.z - 2 * radius);
+  scene.add(compassRose);
+}
 
-  // return final wall mesh from CSG
-  const finalWall = CSG.toMesh(wallCSG, wall.matrix, wall.material);
-  finalWall.castShadow = true;
-  finalWall.receiveShadow = true;
-  return finalWall;
+function clearCompassRose() {
+  if (!compassRose) return;
+  scene.remove(compassRose);
+  disposeObject(compassRose);
+  compassRose = null;
 }
 
-// ==================== FLOOR ====================
-function createFloor(points) {
-  const shape = new THREE.Shape(points.map(p => new THREE.Vector2(p[0], p[1])));
-  const geometry = new THREE.ShapeGeometry(shape);
-  const material = new THREE.MeshPhongMaterial({
-    color: 0xe0e0e0,
-    side: THREE.DoubleSide
+// ==================== EXPORT ====================
+// "Export GLB" button beside the open button: downloads the current plan as binary glTF, for
+// Blender and game engines
+function initExport() {
+  const button = document.createElement('button');
+  button.textContent = 'Export GLB';
+  button.style.cssText =
+    'position:absolute;top:10px;right:150px;padding:6px 12px;font:13px sans-serif;cursor:pointer;';
+  button.addEventListener('click', event => {
+    event.stopPropagation(); // not a door click
+    downloadModel();
   });
+  document.body.appendChild(button);
+}
 
-  // Place geometry directly in XZ plane
-  const floor = new THREE.Mesh(geometry, material);
-  floor.rotation.x = Math.PI / 2; // flip to XZ plane
-  floor.position.y = 0.01; // small lift so it doesn’t Z-fight with walls
+// milliseconds the download's object URL is kept
+const DOWNLOAD_URL_LIFETIME = 10000;
 
-  scene.add(floor);
-  return floor;
+function downloadModel() {
+  if (model.parts.length === 0) {
+    showMessages('Nothing to export', [{ severity: 'error', text: 'Load a blueprint that builds first' }]);
+    return;
+  }
+  exportGLB(model.root)
+    .then(glb => {
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([glb], { type: 'model/gltf-binary' }));
+      link.download = `${modelName}.glb`;
+      link.click();
+      // the browser may still be reading the file after click() returns
+      setTimeout(() => URL.revokeObjectURL(link.href), DOWNLOAD_URL_LIFETIME);
+    })
+    .catch(err => {
+      console.error('Error exporting GLB:', err);
+      showMessages('Could not export', [{ severity: 'error', text: err.message }]);
+    });
 }
 
+// ==================== LINT HIGHLIGHTS ====================
+const HIGHLIGHT = { error: 0x880000, warning: 0x775500 };
 
-// ==================== BUILD FROM JSON ====================
-function buildFromBlueprint(bp) {
-  const h = bp.wallHeight;
-  const t = bp.wallThickness;
+// tint every wall that has an issue once, however many of its keys report one (a shared wall
+// has a key per room); errors win over warnings
+function highlightIssues(issues) {
+  clearHighlights();
 
-  bp.rooms.forEach(room => {
-    // add walls
-    room.walls.forEach(w => {
-      const wallMesh = createWallWithOpenings(w.from, w.to, h, t, w.openings || []);
-      scene.add(wallMesh);
+  const worst = new Map();
+  issues.forEach(issue => {
+    const mesh = model.wallMeshes.get(`${issue.level}:${issue.room}:${issue.wall}`);
+    if (mesh && worst.get(mesh) !== 'error') worst.set(mesh, issue.severity);
+  });
+
+  worst.forEach((severity, mesh) => {
+    // materials are shared between walls, so tint private copies (one per side)
+    if (!mesh.userData.baseMaterial) mesh.userData.baseMaterial = mesh.material;
+    mesh.material = [].concat(mesh.userData.baseMaterial).map(material => {
+      const tinted = material.clone();
+      tinted.emissive.setHex(HIGHLIGHT[severity]);
+      return tinted;
     });
+  });
+}
 
-    // add floor if provided
-    if (room.floor) {
-      createFloor(room.floor);
-    }
+// undo highlightIssues() on walls that survived an incremental update
+function clearHighlights() {
+  model.wallMeshes.forEach(mesh => {
+    if (!mesh.userData.baseMaterial) return;
+    mesh.material.forEach(material => material.dispose());
+    mesh.material = mesh.userData.baseMaterial;
+    delete mesh.userData.baseMaterial;
   });
 }
 
-// ==================== CLICK HANDLING (doors) ====================
+// outline one wall and orbit around it
+function selectWall(level, room, wall) {
+  clearSelection();
+
+  const mesh = model.wallMeshes.get(`${level}:${room}:${wall}`);
+  if (!mesh) return;
+
+  selectionBox = new THREE.BoxHelper(mesh, 0xff0000);
+  scene.add(selectionBox);
+
+  const center = new THREE.Box3().setFromObject(mesh).getCenter(new THREE.Vector3());
+  controls.target.copy(center);
+  controls.update();
+}
+
+function clearSelection() {
+  if (selectionBox) {
+    scene.remove(selectionBox);
+    disposeObject(selectionBox);
+  }
+  selectionBox = null;
+}
+
+function reportIssues(issues) {
+  issues.forEach(issue => (issue.severity === 'error' ? console.error : console.warn)(issue.message));
+  if (issues.length === 0) return;
+
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+  showMessages(
+    `Blueprint lint: ${errors} error(s), ${issues.length - errors} warning(s)`,
+    issues.map(issue => ({
+      severity: issue.severity,
+      text: issue.message,
+      onSelect: () => selectWall(issue.level, issue.room, issue.wall)
+    }))
+  );
+  highlightIssues(issues);
+}
+
+// ==================== CLICK HANDLING (doors and windows) ====================
 function onClick(event) {
   const mouse = new THREE.Vector2(
     (event.clientX / window.innerWidth) * 2 - 1,
@@ -219,35 +287,102 @@ function onClick(event) {
   const raycaster = new THREE.Raycaster();
   raycaster.setFromCamera(mouse, camera);
 
-  // we want to detect door meshes too (they are children of doorPivot)
-  const intersects = raycaster.intersectObjects(scene.children, true);
+  // we want to detect the meshes of doors and windows that open (children of their group);
+  // the raycaster also hits hidden objects, so skip those on hidden levels
+  const intersects = raycaster.intersectObjects(scene.children, true).filter(hit => isShown(hit.object));
   if (intersects.length === 0) return;
 
-  let obj = intersects[0].object;
-  // climb up parents to find a doorPivot
-  while (obj && obj.parent) {
-    if (obj.parent.name === 'doorPivot') {
-      obj = obj.parent;
-      break;
-    }
-    obj = obj.parent;
+  // climb up parents to find the door or window
+  let door = null;
+  for (let obj = intersects[0].object; obj && !door; obj = obj.parent) {
+    door = model.doors.find(d => d.object === obj);
   }
 
-  if (obj && obj.name === 'doorPivot') {
-    // toggle target angle
-    const dp = obj;
-    if (dp.userData) {
-      dp.userData.isOpen = !dp.userData.isOpen;
-      dp.userData.targetAngle = dp.userData.isOpen ? dp.userData.openAngle : dp.userData.closedAngle;
-    }
+  if (door) {
+    // toggle; animate() moves it there
+    door.isOpen = !door.isOpen;
   }
 }
 
+function isShown(object) {
+  for (let o = object; o; o = o.parent) {
+    if (!o.visible) return false;
+  }
+  return true;
+}
+
 // ==================== LOAD JSON ====================
-fetch('./example2.json')
-  .then(res => res.json())
-  .then(data => {
-    init();
-    buildFromBlueprint(data);
-  })
-  .catch(err => console.error("Error loading JSON:", err));
+// `live` reloads keep the unchanged rooms, and keep the last good plan on screen while
+// the file is broken; the camera is never touched, so the view survives every reload
+function loadBlueprint(raw, source, live = false) {
+  clearSelection();
+  clearHighlights();
+  clearMessages();
+  if (!live) {
+    // drop the previous plan first, so a broken file leaves an empty scene rather than a stale one
+    model.dispose();
+    clearLevels();
+    clearSunPanel();
+    clearCompass();
+    clearCompassRose();
+    document.title = `${source.name} - Blueprint to 3D Demo`;
+    modelName = source.name.split('/').pop().replace(/\.json$/i, '') || 'blueprint';
+  }
+
+  // upgrade older files to the current format before checking them
+  const data = migrateBlueprint(raw);
+
+  // refuse to build malformed files; report every problem instead
+  const errors = validateBlueprint(data);
+  if (errors.length > 0) {
+    errors.forEach(e => console.error(e.message));
+    showMessages(
+      `${source.name} has ${errors.length} error(s)`,
+      errors.map(e => ({ severity: 'error', text: e.message }))
+    );
+    return;
+  }
+
+  if (live) {
+    const changed = model.update(data);
+    console.info(`Live reload: rebuilt ${changed.length} of ${model.parts.length} part(s)`);
+  } else {
+    model.rebuild(data);
+  }
+  showLevels(model.levels);
+  showSun(data);
+  placeCompass(data);
+  reportIssues(lintBlueprint(data));
+}
+
+function onLoadError(err) {
+  console.error("Error loading JSON:", err);
+  showMessages('Could not load blueprint', [{ severity: 'error', text: err.message }]);
+}
+
+function handleLoad(raw, source, live = false) {
+  try {
+    loadBlueprint(raw, source, live);
+  } catch (err) {
+    onLoadError(err);
+  }
+
+  // only blueprints loaded from a URL can be watched
+  if (!live) {
+    if (stopWatching) stopWatching();
+    stopWatching = null;
+    const interval = liveReloadInterval();
+    if (interval > 0 && source.url) {
+      stopWatching = watchBlueprint(source.url, interval, next => handleLoad(next, source, true), onLoadError);
+    }
+  }
+}
+
+init();
+initLoader({ dropTarget: renderer.domElement, onLoad: handleLoad, onError: onLoadError });
+
+// the first blueprint is checked as soon as the schema is there too
+const initialUrl = initialBlueprintUrl('./example2.json');
+Promise.all([loadSchema(), loadFromUrl(initialUrl)])
+  .then(([, raw]) => handleLoad(raw, { name: initialUrl, url: initialUrl }))
+  .catch(onLoadError);
@@ -0,0 +1,102 @@
+// ==================== IMPORTS ====================
+import * as THREE from './asset/three.module.js';
+
+// what each part of the building is made of unless the blueprint says otherwise; a blueprint
+// material with the same name replaces the built-in one everywhere it is used
+const BUILT_IN = {
+  wall: { color: 0x999999 },
+  floor: { color: 0xd0d0d0 },
+  ceiling: { color: 0xf8f8f8 },
+  door: { color: 0x8b4513, roughness: 0.7 },
+  'garage-door': { color: 0xb8b8b8, roughness: 0.5, metalness: 0.5 },
+  frame: { color: 0xf2f2f2, roughness: 0.7 },
+  sash: { color: 0xf2f2f2, roughness: 0.7 },
+  glass: { color: 0x87ceeb, roughness: 0.05, opacity: 0.4 },
+  sill: { color: 0xdddddd, roughness: 0.6 },
+  lintel: { color: 0xb5a48c },
+  threshold: { color: 0x777777, roughness: 0.6 },
+  roof: { color: 0x8b4a3a },
+  'flat-roof': { color: 0x888888 },
+  'stair-tread': { color: 0xa0703c, roughness: 0.7 },
+  'stair-riser': { color: 0xeeeeee },
+  'stair-rail': { color: 0x555555, roughness: 0.4, metalness: 0.8 }
+};
+
+// material properties that take an image; colour maps are sRGB, the others hold linear data
+const TEXTURE_SLOTS = { map: THREE.SRGBColorSpace, normalMap: THREE.NoColorSpace, roughnessMap: THREE.NoColorSpace };
+
+// ==================== MATERIAL LIBRARY ====================
+// Turns the material names a blueprint uses into three.js materials. `definitions` is the
+// blueprint's top-level `materials`:
+//   { name: { color, roughness, metalness, opacity, map, normalMap, roughnessMap, scale } }
+// where the maps are image paths (relative to the page) and scale is the size in metres that one
+// repeat of them covers (a number, or [width, height]); model.js gives walls, floors and slabs
+// texture coordinates in metres for that. Each material is made on first use and
+// shared by every mesh that asks for it, so it belongs to the library: disposeObject() leaves
+// what owns() reports alone and dispose() frees it.
+export class MaterialLibrary {
+  constructor(definitions = {}) {
+    this.definitions = { ...BUILT_IN, ...definitions };
+    this.materials = new Map();
+    this.textures = new Map();
+  }
+
+  // the material called `name`, or the one called `fallback` when name is absent or unknown
+  // (unknown names are reported by the linter)
+  get(name, fallback = name) {
+    const key = (name && this.definitions[name]) ? name : fallback;
+    if (!this.materials.has(key)) {
+      const material = this.create(this.definitions[key]);
+      material.name = key;
+      this.materials.set(key, material);
+    }
+    return this.materials.get(key);
+  }
+
+  owns(material) {
+    return Array.from(this.materials.values()).includes(material);
+  }
+
+  dispose() {
+    this.materials.forEach(material => material.dispose());
+    this.textures.forEach(texture => texture.dispose());
+    this.materials.clear();
+    this.textures.clear();
+  }
+
+  create(definition) {
+    const material = new THREE.MeshStandardMaterial({
+      color: definition.color ?? 0xffffff,
+      roughness: definition.roughness ?? 1,
+      metalness: definition.metalness ?? 0
+    });
+    if (definition.opacity !== undefined && definition.opacity < 1) {
+      material.transparent = true;
+      material.opacity = definition.opacity;
+    }
+    Object.entries(TEXTURE_SLOTS).forEach(([slot, colorSpace]) => {
+      if (definition[slot]) material[slot] = this.texture(definition[slot], definition.scale ?? 1, colorSpace);
+    });
+    return material;
+  }
+
+  // one texture per image and scale, repeating once every `scale` metres
+  texture(path, scale, colorSpace) {
+    const [width, height] = [].concat(scale, scale);
+    const key = `${path} ${width} ${height} ${colorSpace}`;
+    if (!this.textures.has(key)) {
+      const texture = new THREE.TextureLoader().load(path);
+      texture.name = path;
+      texture.colorSpace = colorSpace;
+      texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+      texture.repeat.set(1 / width, 1 / height);
+      this.textures.set(key, texture);
+    }
+    return this.textures.get(key);
+  }
+}
+
+// names that need no definition in the blueprint
+export function builtInMaterials() {
+  return Object.keys(BUILT_IN);
+}
@@ -0,0 +1,57 @@
+// ==================== BLUEPRINT VERSIONS ====================
+// Blueprints carry a top-level "version". Files without one are version 1.
+// migrateBlueprint() upgrades any older file step by step to CURRENT_VERSION,
+// so the rest of the code only ever deals with the current format.
+export const CURRENT_VERSION = 2;
+
+// MIGRATIONS[n] upgrades a version n blueprint to version n + 1 (in place)
+const MIGRATIONS = {
+  // v1 -> v2: window sills were read from `sill` while files wrote `sillHeight`;
+  // `sillHeight` is now the only name
+  1: bp => {
+    forEachOpening(bp, op => {
+      if (op.sill !== undefined) {
+        if (op.sillHeight === undefined) op.sillHeight = op.sill;
+        delete op.sill;
+      }
+    });
+  }
+};
+
+// Returns an upgraded copy; the input is left untouched.
+// Anything that is not an object is passed through for the validator to report.
+export function migrateBlueprint(raw) {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) return raw;
+
+  const bp = JSON.parse(JSON.stringify(raw));
+  let version = (bp.version === undefined) ? 1 : bp.version;
+
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Unknown blueprint version ${JSON.stringify(bp.version)}`);
+  }
+  if (version > CURRENT_VERSION) {
+    throw new Error(`Blueprint version ${version} is newer than this viewer supports (${CURRENT_VERSION})`);
+  }
+
+  while (version < CURRENT_VERSION) {
+    MIGRATIONS[version](bp);
+    version++;
+  }
+  bp.version = CURRENT_VERSION;
+  return bp;
+}
+
+// ==================== HELPERS ====================
+// tolerant walk over the top-level rooms and those of every level: the blueprint has not been
+// validated yet
+function forEachOpening(bp, fn) {
+  const levels = Array.isArray(bp.levels) ? bp.levels : [];
+  const rooms = [bp, ...levels].flatMap(owner => Array.isArray(owner && owner.rooms) ? owner.rooms : []);
+  rooms.forEach(room => {
+    (Array.isArray(room && room.walls) ? room.walls : []).forEach(w => {
+      (Array.isArray(w && w.openings) ? w.openings : []).forEach(op => {
+        if (op && typeof op === 'object') fn(op);
+      });
+    });
+  });
+}
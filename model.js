@@ -0,0 +1,1067 @@
+// ==================== IMPORTS ====================
+import * as THREE from './asset/three.module.js';
+import CSG from './asset/three-csg.js';
+import { Vertex, Polygon } from './asset/csg-lib.js';
+import {
+  EPSILON, wallLength, wallPath, shiftPoint, openingSill, openingProfile, offsetPolygon, signedArea, roomOutline,
+  floorHoles, wallLoop
+} from './geometry.js';
+import { computeWallFootprints, mergeSharedWalls, outerFootprints, wallFaces, wallSides } from './walls.js';
+import { blueprintLevels } from './levels.js';
+import { stairLayout } from './stairs.js';
+import { roofLayout } from './roof.js';
+import { MaterialLibrary } from './materials.js';
+
+// ==================== MODEL ====================
+// Owns every object built from one blueprint. All meshes hang off `root`, so the
+// whole plan can be disposed (GPU resources included) and rebuilt without a page refresh.
+// Each level is a group at its elevation and each room is built into its own part inside it,
+// so levels can be hidden and update() can rebuild only the rooms that changed.
+export class BlueprintModel {
+  constructor(scene) {
+    this.root = new THREE.Group();
+    this.root.name = 'blueprint';
+    scene.add(this.root);
+
+    // one entry per level, bottom up, then the roof if there is one: { name, group }
+    this.levels = [];
+
+    // one part per room and per stair, level by level, then the roof:
+    // { key, level, group, doors, walls }
+    // (a shared wall is built once, by the first room on its level that lists it)
+    this.parts = [];
+    // JSON of everything outside the rooms and stairs; a change there rebuilds every part
+    this.settingsKey = null;
+
+    // doors and windows that open on click, animated each frame (see createDoor())
+    this.doors = [];
+
+    // wall meshes by "levelIndex:roomIndex:wallIndex", used to highlight lint issues
+    this.wallMeshes = new Map();
+
+    // materials of the current blueprint, shared by its meshes (see materials.js)
+    this.materials = new MaterialLibrary();
+  }
+
+  // replace the current plan with `bp` (a migrated, validated blueprint)
+  rebuild(bp) {
+    this.dispose();
+    this.materials = new MaterialLibrary(bp.materials);
+    buildFromBlueprint(bp, this);
+    this.settingsKey = settingsKey(bp);
+    this.index();
+  }
+
+  // like rebuild(), but keeps the parts of rooms, stairs and roof whose JSON did not change;
+  // returns what was (re)built as { level, room }, { level, stair } or { roof: true }
+  update(bp) {
+    const plans = planParts(bp);
+    if (settingsKey(bp) !== this.settingsKey) {
+      this.rebuild(bp);
+      return plans.map(plan => plan.change);
+    }
+
+    // old parts by key; keys hold the room's place in its level (wall lookups and default
+    // names depend on it), so rooms after one that was inserted or removed are rebuilt
+    const unused = new Map();
+    this.parts.forEach(part => {
+      if (!unused.has(part.key)) unused.set(part.key, []);
+      unused.get(part.key).push(part);
+    });
+
+    const changed = [];
+    this.parts = plans.map(plan => {
+      const reused = (unused.get(plan.key) || []).shift();
+      if (reused) return reused;
+      changed.push(plan.change);
+      return buildPart(plan, this);
+    });
+
+    unused.forEach(stale => stale.forEach(part => {
+      disposeObject(part.group, this.materials);
+      part.group.removeFromParent();
+    }));
+
+    this.index();
+    return changed;
+  }
+
+  // remove everything built so far and free its geometries, materials and textures;
+  // the model stays usable and can be rebuilt afterwards
+  dispose() {
+    disposeObject(this.root, this.materials);
+    this.materials.dispose();
+    this.root.clear();
+    this.levels = [];
+    this.parts = [];
+    this.settingsKey = null;
+    this.index();
+  }
+
+  // refresh the lookups that span all parts
+  index() {
+    this.doors = this.parts.flatMap(part => part.doors);
+    this.wallMeshes = new Map();
+    this.parts.forEach(part => part.walls.forEach((mesh, key) => this.wallMeshes.set(key, mesh)));
+  }
+}
+
+// frees GPU resources of every mesh below `object` (shared ones once), except materials that
+// belong to `library`
+export function disposeObject(object, library = null) {
+  const geometries = new Set();
+  const materials = new Set();
+  object.traverse(child => {
+    if (child.geometry) geometries.add(child.geometry);
+    if (child.material) [].concat(child.material).forEach(m => materials.add(m));
+  });
+
+  geometries.forEach(g => g.dispose());
+  materials.forEach(m => {
+    if (library && library.owns(m)) return;
+    Object.values(m).forEach(value => {
+      if (value && value.isTexture) value.dispose();
+    });
+    m.dispose();
+  });
+}
+
+// ==================== WALLS ====================
+// `wall` is one planned wall:
+//   { from, to, bulge?, footprint, center, bottom, height, thickness, openings, faces }
+// where footprint is its plan polygon with corner joins applied (see walls.js), center is the
+// offset of its centre line from the reference path (straight or arc) towards its normal side
+// (see wallPath() in geometry.js), bottom is
+// below 0 where a room beside it has a lowered or sloping floor, and faces
+// names the materials of its sides (see faceMaterials()); what is built for an opening is named
+// after it, or after the room wall it comes from (wallName(source)) and its place there
+function createWallWithOpenings(part, wall, wallName, materials) {
+  const { footprint, height, thickness, openings } = wall;
+  const path = wallPath(wall);
+
+  // openings, doors and panes sit on the centre line, not on the reference line
+  const centreAt = s => shiftPoint(path.pointAt(s), path.normalAt(s), wall.center);
+
+  // rotation math
+  const angle = Math.atan2(wall.to[1] - wall.from[1], wall.to[0] - wall.from[0]); // angle along +X
+
+  // wall frame: at the middle of the wall, local +X along its chord, local +Z to its normal side
+  const frame = new THREE.Object3D();
+  const middle = centreAt(path.length / 2);
+  frame.position.set(middle[0], height / 2, middle[1]);
+  frame.rotation.y = -angle; // negative because world Z/X orientation
+  frame.updateMatrix();
+
+  // solid wall extruded from its footprint
+  let wallCSG = prismCSG(footprint, wall.bottom, height);
+
+  // the part of the wall between s0 and s1 along it, from y0 to y1, reaching `grow` past its
+  // faces; on an arc it follows the curve
+  const span = (s0, s1, y0, y1, grow) => {
+    if (path.arc) {
+      const outer = path.sample(s0, s1, wall.center + thickness / 2 + grow);
+      const inner = path.sample(s1, s0, wall.center - thickness / 2 - grow);
+      const sector = outer.concat(inner);
+      return prismCSG(signedArea(sector) < 0 ? sector.reverse() : sector, y0, y1);
+    }
+    const box = new THREE.Mesh(new THREE.BoxGeometry(s1 - s0, y1 - y0, thickness + 2 * grow));
+    const mid = centreAt((s0 + s1) / 2);
+    box.position.set(mid[0], (y0 + y1) / 2, mid[1]);
+    box.rotation.y = -angle;
+    box.updateMatrix();
+    return CSG.fromMesh(box);
+  };
+
+  // process openings
+  openings.forEach(op => {
+    const opName = op.name || `${wallName(op.source)} ${op.type} ${op.source.opening}`;
+
+    // compute hole placement: offset and width are measured along the wall, the door or
+    // pane spans the chord between the opening's edges (the same line on a straight wall)
+    const s0 = op.offset - op.width / 2;
+    const s1 = op.offset + op.width / 2;
+    const [a, b] = [centreAt(s0), centreAt(s1)];
+    const pos = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+    const opAngle = Math.atan2(b[1] - a[1], b[0] - a[0]);
+    const opWidth = Math.hypot(b[0] - a[0], b[1] - a[1]);
+
+    // default sill (windows) or ground (doors)
+    const sill = openingSill(op);
+    const top = sill + op.height;
+
+    // trim around the hole, in a frame at the bottom middle of the opening: local +X along the
+    // chord, +Z to the wall's normal side
+    const trim = new THREE.Group();
+    trim.name = `${opName} trim`;
+    trim.position.set(pos[0], sill, pos[1]);
+    trim.rotation.y = -opAngle;
+    trim.updateMatrix();
+    const spec = openingTrim(op, thickness);
+    const trimMat = openingMaterials(op, materials);
+
+    // arched, round and polygon openings follow their profile, squeezed onto the chord and
+    // mirrored when described from the other side of the wall
+    const shaped = op.shape !== undefined && op.shape !== 'rect';
+    const profile = shaped ? chordProfile(op, opWidth, op.flipped) : null;
+
+    // create hole (centered at pos.x,pos.z but lifted by sill); a shaped one goes straight
+    // through, deep enough for the bow of an arc wall
+    if (shaped) {
+      const depth = thickness / 2 + wallLength(pos, centreAt(op.offset)) + 0.025;
+      wallCSG = wallCSG.subtract(profileCSG(profile, -depth, depth, trim.matrix));
+    } else {
+      wallCSG = wallCSG.subtract(span(s0, s1, sill, top, 0.025));
+    }
+
+    // the rest is built by the run of the wall the opening is centred on (see walls.js)
+    if (op.holeOnly) return;
+    part.group.add(trim);
+
+    // lintel over the opening and a sill under a window replace the wall they sit in; the
+    // lintel follows the wall, so an arc wall keeps its curve
+    const lintelHeight = spec.lintel ? Math.min(spec.lintel.height, height - top) : 0;
+    if (lintelHeight > EPSILON) {
+      const bearing = spec.lintel.bearing;
+      const lintelCSG = prismCSG(footprint, top, top + lintelHeight).intersect(span(s0 - bearing, s1 + bearing, top, top + lintelHeight, 0.025));
+      wallCSG = wallCSG.subtract(lintelCSG);
+      const lintel = CSG.toMesh(lintelCSG, new THREE.Matrix4(), trimMat.lintel);
+      lintel.name = `${opName} lintel`;
+      part.group.add(lintel);
+    }
+    if (spec.sill && sill >= spec.sill.thickness && op.shape !== 'round') {
+      const { projection, thickness: sillThickness, horn } = spec.sill;
+      wallCSG = wallCSG.subtract(span(s0 - horn, s1 + horn, sill - sillThickness, sill, 0.025));
+      trimBox(trim, trimMat.sill, opWidth + 2 * horn, sillThickness, thickness + 2 * projection, 0, -sillThickness / 2, 0);
+    }
+
+    // door thresholds fill the bottom of the hole; frames line the rest of it
+    const base = spec.threshold ? spec.threshold.height : 0;
+    if (base > 0) trimBox(trim, trimMat.threshold, opWidth, base, thickness, 0, base / 2, 0);
+
+    const fw = spec.frame ? spec.frame.width : 0;
+    if (spec.frame && shaped) {
+      // rings between the profile and a copy of it moved in (open at the bottom of a door)
+      // or, for the architraves, out (cut off at the sill)
+      const { depth, architrave } = spec.frame;
+      const inner = innerProfile(op, opWidth, fw, op.flipped);
+      trimSolid(trim, trimMat.frame, profileCSG(profile, -depth / 2, depth / 2).subtract(profileCSG(inner, -depth, depth)));
+
+      if (architrave.width > 0 && !path.arc) {
+        const outer = offsetPolygon(profile, architrave.width).map(([x, y]) => [x, Math.max(y, 0)]);
+        [-1, 1].forEach(face => {
+          const z0 = face * thickness / 2;
+          const z1 = face * (thickness / 2 + architrave.thickness);
+          const board = profileCSG(outer, Math.min(z0, z1), Math.max(z0, z1));
+          trimSolid(trim, trimMat.frame, board.subtract(profileCSG(profile, -thickness, thickness)));
+        });
+      }
+    } else if (spec.frame) {
+      const { depth, architrave } = spec.frame;
+      [-1, 1].forEach(side => trimBox(trim, trimMat.frame, fw, op.height - base, depth, side * (opWidth - fw) / 2, base + (op.height - base) / 2, 0));
+      trimBox(trim, trimMat.frame, opWidth - 2 * fw, fw, depth, 0, op.height - fw / 2, 0);
+      if (op.type === 'window') trimBox(trim, trimMat.frame, opWidth - 2 * fw, fw, depth, 0, fw / 2, 0);
+
+      // architraves on both faces (flat boards would not sit on a curved face)
+      if (architrave.width > 0 && !path.arc) {
+        const aw = architrave.width;
+        const at = architrave.thickness;
+        [-1, 1].forEach(face => {
+          const z = face * (thickness + at) / 2;
+          [-1, 1].forEach(side => trimBox(trim, trimMat.frame, aw, op.height + aw, at, side * (opWidth + aw) / 2, (op.height + aw) / 2, z));
+          trimBox(trim, trimMat.frame, opWidth, aw, at, 0, op.height + aw / 2, z);
+        });
+      }
+    }
+
+    // ---------- create visible door or window meshes ----------
+    // both fill the inside of the frame, cut to its shape (doors and windows are turned round
+    // rather than mirrored when flipped, so their shape is not)
+    const clearWidth = opWidth - 2 * fw;
+    if (op.type !== 'window') {
+      // the door's frame: at the bottom middle of the clear opening, local +X towards the
+      // leaf's free edge, +Z to the wall's normal side (a door described from the other side of a
+      // shared wall is turned round, so it hinges on the opposite edge)
+      const clip = shaped ? innerProfile(op, opWidth, fw, false).map(([x, y]) => [x, y - base]) : null;
+      const door = createDoor(op, clearWidth, op.height - base - fw, spec.frame ? spec.frame.depth : null, thickness, clip, trimMat.leaf);
+      door.object.name = opName;
+      door.object.position.set(pos[0], sill + base, pos[1]);
+      door.object.rotation.y = -opAngle + (op.flipped ? Math.PI : 0);
+
+      // add to the room's part & tracking array for animation updates
+      part.group.add(door.object);
+      part.doors.push(door);
+    }
+
+    if (op.type === 'window') {
+      // placed like a door; only windows that open are animated
+      const clip = shaped ? innerProfile(op, opWidth, fw, false).map(([x, y]) => [x, y - fw]) : null;
+      const win = createWindow(op, clearWidth, op.height - 2 * fw, clip, trimMat);
+      win.object.name = opName;
+      win.object.position.set(pos[0], sill + fw, pos[1]);
+      win.object.rotation.y = -opAngle + (op.flipped ? Math.PI : 0);
+      part.group.add(win.object);
+      if (win.pose) part.doors.push(win);
+    }
+  });
+
+  // return final wall mesh from CSG, each side in its own material; textures run along the
+  // wall from its start and up from the floor
+  const finalWall = CSG.toMesh(wallCSG, frame.matrix, wallMaterials(wallCSG, path, wall.faces, materials));
+  boxUVs(finalWall.geometry, new THREE.Vector3(-wallLength(wall.from, wall.to) / 2, -height / 2, 0));
+  return finalWall;
+}
+
+// sorts the polygons of a wall solid by the way they face: across the wall to its normal side or
+// the other (`faces.left`, `faces.right`) or along it (`faces.edge`: ends, top, bottom and the reveals of
+// openings); returns the materials, indexed by the polygons' `shared`
+function wallMaterials(csg, path, faces, materials) {
+  const names = [];
+  csg.polygons.forEach(polygon => {
+    const { x, z } = polygon.plane.normal;
+    const left = leftOf(path, polygon.vertices[0].pos);
+    const facing = x * left[0] + z * left[1];
+    const name = (facing > 0.5) ? faces.left : (facing < -0.5) ? faces.right : faces.edge;
+    if (!names.includes(name)) names.push(name);
+    polygon.shared = names.indexOf(name);
+  });
+  return names.map(name => materials.get(name, 'wall'));
+}
+
+// unit plan direction to the normal side of a wall's path at the point `pos` (beside it)
+function leftOf(path, pos) {
+  if (!path.arc) return path.normalAt(0);
+  const { center, sweep } = path.arc;
+  const [dx, dz] = [pos.x - center[0], pos.z - center[1]];
+  const length = Math.hypot(dx, dz) || 1;
+  return [-Math.sign(sweep) * dx / length, -Math.sign(sweep) * dz / length];
+}
+
+// ==================== OPENING TRIM ====================
+const DOOR_LEAF_THICKNESS = 0.04;
+
+// sizes of the trim around an opening: the blueprint's, else defaults; false parts are left out.
+// { frame: { width, depth, architrave: { width, thickness } }, sill: { projection, thickness, horn },
+//   lintel: { height, bearing }, threshold: { height } } (the sill comes from `sillTrim`)
+function openingTrim(op, thickness) {
+  const part = (value, defaults) => (value === false) ? null : { ...defaults, ...value };
+  const frame = part(op.frame, { width: 0.05, depth: Math.min(0.1, thickness), architrave: 0.07 });
+  if (frame) {
+    frame.depth = Math.min(frame.depth, thickness);
+    frame.architrave = { width: frame.architrave, thickness: 0.015 };
+  }
+
+  return {
+    frame,
+    sill: (op.type === 'window') ? part(op.sillTrim, { projection: 0.04, thickness: 0.03, horn: 0.05 }) : null,
+    lintel: part(op.lintel, { height: 0.15, bearing: 0.15 }),
+    threshold: (op.type !== 'window') ? part(op.threshold, { height: 0.02 }) : null
+  };
+}
+
+// materials of an opening's parts: its `material` names the door leaf or the window's sashes,
+// or gives { leaf, frame, sill, lintel, threshold, glass } by name; the rest are built in
+function openingMaterials(op, materials) {
+  const names = (typeof op.material === 'string') ? { leaf: op.material } : (op.material || {});
+  const leaf = (op.type === 'window') ? 'sash' : (op.type === 'garage') ? 'garage-door' : 'door';
+  const defaults = { leaf, frame: 'frame', sill: 'sill', lintel: 'lintel', threshold: 'threshold', glass: 'glass' };
+  return Object.fromEntries(Object.entries(defaults).map(([key, fallback]) => [key, materials.get(names[key], fallback)]));
+}
+
+// the opening's profile (see openingProfile()) on a chord `width` long, counter-clockwise in the
+// frame of the trim: mirrored when `flipped`
+function chordProfile(op, width, flipped) {
+  const scale = width / op.width * (flipped ? -1 : 1);
+  return positiveWinding(openingProfile(op).map(([x, y]) => [x * scale, y]));
+}
+
+// what a frame `fw` wide leaves of the chord profile; door frames have no bottom, so the
+// inside of a door's reaches below the sill
+function innerProfile(op, width, fw, flipped) {
+  return offsetPolygon(chordProfile(op, width, flipped), -fw)
+    .map(([x, y]) => [x, (op.type !== 'window' && y < fw + EPSILON) ? -0.05 : y]);
+}
+
+// prism over a profile in the XY plane (see openingProfile()) from z0 to z1, as a CSG solid in
+// the frame of `matrix`
+function profileCSG(points, z0, z1, matrix = new THREE.Matrix4()) {
+  const shape = new THREE.Shape(points.map(p => new THREE.Vector2(p[0], p[1])));
+  const geometry = new THREE.ExtrudeGeometry(shape, { depth: z1 - z0, bevelEnabled: false });
+  geometry.translate(0, 0, z0);
+  const mesh = new THREE.Mesh(geometry);
+  mesh.matrix.copy(matrix);
+  const csg = CSG.fromMesh(mesh);
+  geometry.dispose();
+  return csg;
+}
+
+function trimSolid(group, material, csg) {
+  const mesh = CSG.toMesh(csg, new THREE.Matrix4(), material);
+  group.add(mesh);
+  return mesh;
+}
+
+// box of the given size centred at (x, y, z) in `group`
+function trimBox(group, material, width, height, depth, x, y, z) {
+  const box = new THREE.Mesh(new THREE.BoxGeometry(width, height, depth), material);
+  box.position.set(x, y, z);
+  group.add(box);
+  return box;
+}
+
+// ==================== DOORS ====================
+// bifold panels fold this far when open
+const BIFOLD_ANGLE = 80 * Math.PI / 180;
+// how much of a pocket door stays out of the wall to pull it back by
+const POCKET_PULL = 0.08;
+// share of a garage door left showing under its roll when open
+const GARAGE_ROLLED = 0.05;
+const GARAGE_ROLL_RADIUS = 0.15;
+
+// The door of an opening `width` × `height` (inside the frame), in a group at its bottom middle
+// with local +X along the wall and +Z to its normal side, in a frame `frameDepth` deep (null for none);
+// leaves are cut to `clip`, the shape of a shaped opening in that group (or null), and made of
+// `material`. Returns
+// { object, isOpen, progress, pose } where pose(progress) moves the leaves from closed (0) to
+// open (1); animate() in main.js eases progress towards isOpen every frame and clicks toggle
+// isOpen.
+//   door          one leaf, hinged at -X, swinging towards -Z (+Z with hinge: 'right')
+//   double-door   two leaves hinged at both sides, swinging the same way
+//   sliding-door  a leaf hung on the wall's -Z face, sliding along it towards -X (+X hinged
+//                 right); it covers a shaped opening rather than fitting it
+//   pocket-door   a leaf sliding into the wall, the same way
+//   bifold        two panels folding against the -X side (+X hinged right)
+//   garage        a door rolling up onto a drum under the head, on the +Z side
+function createDoor(op, width, height, frameDepth, wallThickness, clip, material) {
+  const object = new THREE.Group();
+  object.name = 'door';
+  // door depth ~ wall thickness * 0.9, or a leaf hung in the frame
+  const leafDepth = (frameDepth === null) ? Math.max(0.02, wallThickness * 0.9) : DOOR_LEAF_THICKNESS;
+  // pushed towards the wall's -Z face, inside the frame
+  const inset = ((frameDepth ?? wallThickness) - leafDepth) / 2;
+  const swing = (op.hinge === 'right') ? -Math.PI / 2 : Math.PI / 2;
+  const towards = (op.hinge === 'right') ? 1 : -1;
+
+  // leaf `w` wide reaching from `x` (its origin, in the door's group) along `dir` (±X)
+  const leaf = (x, w, dir, z, parent = object) => {
+    const geometry = new THREE.BoxGeometry(w, height, leafDepth);
+    geometry.translate(x + dir * w / 2, height / 2, z);
+    let mesh = new THREE.Mesh(geometry, material);
+    if (clip && op.type !== 'sliding-door') {
+      mesh = CSG.toMesh(CSG.fromMesh(mesh).intersect(profileCSG(clip, -wallThickness, wallThickness)), new THREE.Matrix4(), material);
+      geometry.dispose();
+    }
+    mesh.geometry.translate(-x, 0, 0);
+    mesh.position.x = (parent === object) ? x : x - parent.position.x;
+    parent.add(mesh);
+    return mesh;
+  };
+
+  let pose;
+  if (op.type === 'double-door') {
+    const [left, right] = [leaf(-width / 2, width / 2, 1, -inset), leaf(width / 2, width / 2, -1, -inset)];
+    pose = p => {
+      left.rotation.y = p * swing;
+      right.rotation.y = -p * swing;
+    };
+  } else if (op.type === 'sliding-door' || op.type === 'pocket-door') {
+    // a sliding leaf laps the opening a little at each side
+    const sliding = op.type === 'sliding-door';
+    const lap = sliding ? 0.05 : 0;
+    const z = sliding ? -(wallThickness + leafDepth) / 2 - 0.01 : 0;
+    const closed = -width / 2 - lap;
+    const slide = leaf(closed, width + 2 * lap, 1, z);
+    const travel = sliding ? width : width - POCKET_PULL;
+    pose = p => (slide.position.x = closed + towards * p * travel);
+  } else if (op.type === 'bifold') {
+    // the second panel hangs off the first; folding keeps its free edge on the track
+    const dir = -towards;
+    const first = leaf(towards * width / 2, width / 2, dir, -inset);
+    const second = leaf(0, width / 2, dir, -inset, first);
+    pose = p => {
+      first.rotation.y = dir * p * BIFOLD_ANGLE;
+      second.rotation.y = -2 * dir * p * BIFOLD_ANGLE;
+    };
+  } else if (op.type === 'garage') {
+    // hangs from the head and shortens as it rolls up onto a drum on the +Z side (inside a room
+    // whose walls run clockwise)
+    const door = leaf(-width / 2, width, 1, 0);
+    door.geometry.translate(0, -height, 0);
+    door.position.y = height;
+    const roll = new THREE.Mesh(new THREE.CylinderGeometry(GARAGE_ROLL_RADIUS, GARAGE_ROLL_RADIUS, width, 24), material);
+    roll.rotation.z = Math.PI / 2;
+    roll.position.set(0, height - GARAGE_ROLL_RADIUS, wallThickness / 2 + GARAGE_ROLL_RADIUS);
+    object.add(roll);
+    pose = p => (door.scale.y = 1 - p * (1 - GARAGE_ROLLED));
+  } else {
+    const door = leaf(-width / 2, width, 1, -inset);
+    pose = p => (door.rotation.y = p * swing);
+  }
+
+  return { object, isOpen: false, progress: 0, pose };
+}
+
+// ==================== WINDOWS ====================
+const SASH_WIDTH = 0.04;
+const SASH_DEPTH = 0.05;
+const GLASS_THICKNESS = 0.01;
+const MULLION_WIDTH = 0.025;
+// casements wider than this get a pair of sashes
+const CASEMENT_MAX_WIDTH = 0.9;
+
+// The glazing of a window opening `width` × `height` (inside the frame), in a group at its bottom
+// middle like a door's (see createDoor()). Returns { object, isOpen, progress, pose } with
+// pose = null for windows that do not open.
+//   fixed     glass straight in the frame (the default)
+//   casement  a sash hinged at -X (a pair on wide windows, hinged at both sides) opening
+//             outwards towards -Z like a door; hinge: 'right' opens it towards +Z
+//   sliding   two sashes side by side in two tracks; the one at +X slides over the other
+//             (the one at -X, hinged right)
+// `mullions` { rows, cols } divides the glass of each sash into panes. Shaped windows are fixed,
+// with glass and mullions cut to `clip`, the opening's shape in the window's group. Sashes and
+// mullions are made of `materials.leaf`, the panes of `materials.glass`.
+function createWindow(op, width, height, clip, materials) {
+  const object = new THREE.Group();
+  object.name = 'window';
+  const { glass: glassMat, leaf: sashMat } = materials;
+  const grid = { rows: 1, cols: 1, ...op.mullions };
+
+  // glass `w` wide reaching from the group's origin along `dir` (±X), in a sash unless `bare`
+  const glazing = (w, dir, z, bare = false) => {
+    const group = new THREE.Group();
+    group.position.z = z;
+    const box = (bw, bh, bd, x, y, material) => trimBox(group, material, bw, bh, bd, dir * x, y, 0);
+    const rim = bare ? 0 : SASH_WIDTH;
+    if (!bare) {
+      [SASH_WIDTH / 2, w - SASH_WIDTH / 2].forEach(x => box(SASH_WIDTH, height, SASH_DEPTH, x, height / 2, sashMat));
+      [SASH_WIDTH / 2, height - SASH_WIDTH / 2].forEach(y => box(w - 2 * SASH_WIDTH, SASH_WIDTH, SASH_DEPTH, w / 2, y, sashMat));
+    }
+    const [gw, gh] = [w - 2 * rim, height - 2 * rim];
+    box(gw, gh, GLASS_THICKNESS, w / 2, height / 2, glassMat);
+    for (let c = 1; c < grid.cols; c++) box(MULLION_WIDTH, gh, SASH_DEPTH / 2, rim + gw * c / grid.cols, height / 2, sashMat);
+    for (let r = 1; r < grid.rows; r++) box(gw, MULLION_WIDTH, SASH_DEPTH / 2, w / 2, rim + gh * r / grid.rows, sashMat);
+    object.add(group);
+    return group;
+  };
+
+  let pose = null;
+  if (clip) {
+    const xs = clip.map(p => p[0]);
+    const ys = clip.map(p => p[1]);
+    const [x0, x1, y0, y1] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+    const bar = (w, h, x, y) => {
+      const mesh = new THREE.Mesh(new THREE.BoxGeometry(w, h, SASH_DEPTH / 2));
+      mesh.position.set(x, y, 0);
+      mesh.updateMatrix();
+      const csg = CSG.fromMesh(mesh);
+      mesh.geometry.dispose();
+      return csg;
+    };
+    const bars = [];
+    for (let c = 1; c < grid.cols; c++) bars.push(bar(MULLION_WIDTH, y1 - y0, x0 + (x1 - x0) * c / grid.cols, (y0 + y1) / 2));
+    for (let r = 1; r < grid.rows; r++) bars.push(bar(x1 - x0, MULLION_WIDTH, (x0 + x1) / 2, y0 + (y1 - y0) * r / grid.rows));
+
+    trimSolid(object, glassMat, profileCSG(clip, -GLASS_THICKNESS / 2, GLASS_THICKNESS / 2));
+    if (bars.length > 0) {
+      const grille = bars.reduce((all, next) => all.union(next));
+      trimSolid(object, sashMat, grille.intersect(profileCSG(clip, -SASH_DEPTH, SASH_DEPTH)));
+    }
+  } else if (op.style === 'casement') {
+    const swing = (op.hinge === 'right') ? -Math.PI / 2 : Math.PI / 2;
+    if (width > CASEMENT_MAX_WIDTH) {
+      const [left, right] = [glazing(width / 2, 1, 0), glazing(width / 2, -1, 0)];
+      left.position.x = -width / 2;
+      right.position.x = width / 2;
+      pose = p => {
+        left.rotation.y = p * swing;
+        right.rotation.y = -p * swing;
+      };
+    } else {
+      const sash = glazing(width, 1, 0);
+      sash.position.x = -width / 2;
+      pose = p => (sash.rotation.y = p * swing);
+    }
+  } else if (op.style === 'sliding') {
+    // the sashes overlap by a sash width in the middle
+    const w = (width + SASH_WIDTH) / 2;
+    const [left, right] = [glazing(w, 1, -SASH_DEPTH / 2), glazing(w, -1, SASH_DEPTH / 2)];
+    left.position.x = -width / 2;
+    right.position.x = width / 2;
+    const [moving, towards] = (op.hinge === 'right') ? [left, 1] : [right, -1];
+    const closed = moving.position.x;
+    pose = p => (moving.position.x = closed + towards * p * (w - SASH_WIDTH));
+  } else {
+    glazing(width, 1, 0, true).position.x = -width / 2;
+  }
+
+  return { object, isOpen: false, progress: 0, pose };
+}
+
+// ==================== SOLIDS ====================
+// vertical prism over a clockwise plan polygon, as a CSG solid; `y1` may also be a
+// height per point for a sloped top, as long as the top stays planar
+function prismCSG(polygon, y0, y1) {
+  const polys = [];
+  const at = (p, y) => new THREE.Vector3(p[0], y, p[1]);
+  const top = Array.isArray(y1) ? y1 : polygon.map(() => y1);
+
+  // sides; the outward normal of an edge points away from its normal side
+  polygon.forEach((p, k) => {
+    const j = (k + 1) % polygon.length;
+    const q = polygon[j];
+    const normal = new THREE.Vector3(q[1] - p[1], 0, p[0] - q[0]).normalize();
+    polys.push(new Polygon([
+      new Vertex(at(p, y0), normal),
+      new Vertex(at(p, top[k]), normal),
+      new Vertex(at(q, top[j]), normal),
+      new Vertex(at(q, y0), normal)
+    ]));
+  });
+
+  // caps (the footprint may be concave at T and X junctions, so triangulate)
+  const contour = polygon.map(p => new THREE.Vector2(p[0], p[1]));
+  const down = new THREE.Vector3(0, -1, 0);
+  THREE.ShapeUtils.triangulateShape(contour, []).forEach(([a, b, c]) => {
+    const [pa, pb, pc] = [polygon[a], polygon[b], polygon[c]];
+    // clockwise seen from above faces down, so flip the top cap
+    const cw = (pb[0] - pa[0]) * (pc[1] - pa[1]) - (pb[1] - pa[1]) * (pc[0] - pa[0]) > 0;
+    const [u, v, w] = cw ? [a, b, c] : [a, c, b];
+    const [tu, tv, tw] = [at(polygon[u], top[u]), at(polygon[v], top[v]), at(polygon[w], top[w])];
+    const up = new THREE.Vector3().crossVectors(tw.clone().sub(tu), tv.clone().sub(tu)).normalize();
+    polys.push(new Polygon([new Vertex(at(polygon[u], y0), down), new Vertex(at(polygon[v], y0), down), new Vertex(at(polygon[w], y0), down)]));
+    polys.push(new Polygon([new Vertex(tu, up), new Vertex(tw, up), new Vertex(tv, up)]));
+  });
+
+  return CSG.fromPolygons(polys);
+}
+
+// texture coordinates in metres from `origin`, each face projected along the axis it faces most
+// (not mirrored, seen from the front), so a texture repeats every `scale` metres of its material
+// (see materials.js) whatever the size of the mesh; replaces any UVs the geometry had
+function boxUVs(geometry, origin = new THREE.Vector3()) {
+  const { position, normal } = geometry.attributes;
+  const uvs = new Float32Array(position.count * 2);
+  for (let k = 0; k < position.count; k++) {
+    const x = position.getX(k) - origin.x;
+    const y = position.getY(k) - origin.y;
+    const z = position.getZ(k) - origin.z;
+    const [nx, ny, nz] = [normal.getX(k), normal.getY(k), normal.getZ(k)];
+    const [ax, ay, az] = [Math.abs(nx), Math.abs(ny), Math.abs(nz)];
+    let uv;
+    if (ay >= ax && ay >= az) uv = [x, (ny > 0) ? -z : z];
+    else if (ax >= az) uv = [(nx > 0) ? -z : z, y];
+    else uv = [(nz > 0) ? x : -x, y];
+    uvs[2 * k] = uv[0];
+    uvs[2 * k + 1] = uv[1];
+  }
+  geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+  return geometry;
+}
+
+// ==================== FLOOR ====================
+// floor slab of a room, from `thickness` below the level's floor up to the finished floor
+// (`top`, a height per point), with openings (plan polygons) cut where stairs arrive and where
+// the floor has holes
+function createSlab(part, points, thickness, holes, top, material) {
+  const polygon = positiveWinding(points);
+  const heights = (polygon === points) ? top : top.slice().reverse();
+
+  let slabCSG = prismCSG(polygon, -thickness, heights);
+  holes.forEach(hole => {
+    slabCSG = slabCSG.subtract(prismCSG(positiveWinding(hole), -thickness - 0.05, Math.max(...top) + 0.05));
+  });
+
+  const slab = CSG.toMesh(slabCSG, new THREE.Matrix4(), material);
+  boxUVs(slab.geometry);
+  slab.name = `${part.group.name} floor`;
+  part.group.add(slab);
+  return slab;
+}
+
+// height of the finished floor at each point: the room's floorLevel, falling away at the
+// floorSlope's gradient towards its direction from the highest point of the outline
+function floorTop(room, points) {
+  const level = room.floorLevel || 0;
+  if (!room.floorSlope) return points.map(() => level);
+
+  const angle = room.floorSlope.direction * Math.PI / 180;
+  const along = points.map(p => p[0] * Math.cos(angle) + p[1] * Math.sin(angle));
+  const start = Math.min(...along);
+  return along.map(d => level - (d - start) * room.floorSlope.fall);
+}
+
+// the polygon wound so that signedArea() is positive: clockwise on the plan, counter-clockwise
+// in the x/y plane of a wall
+function positiveWinding(polygon) {
+  return signedArea(polygon) < 0 ? polygon.slice().reverse() : polygon;
+}
+
+// ceiling of a room, facing down only so the plan can still be seen from above, with openings
+// cut where stairs pass through the slab above
+function createCeiling(part, points, height, holes, material) {
+  let ceilingCSG = prismCSG(positiveWinding(points), height - 0.01, height);
+  holes.forEach(hole => {
+    ceilingCSG = ceilingCSG.subtract(prismCSG(positiveWinding(hole), height - 0.05, height + 0.05));
+  });
+  const underside = CSG.fromPolygons(ceilingCSG.polygons.filter(polygon => polygon.plane.normal.y < -0.5));
+
+  const ceiling = CSG.toMesh(underside, new THREE.Matrix4(), material);
+  boxUVs(ceiling.geometry);
+  ceiling.name = `${part.group.name} ceiling`;
+  part.group.add(ceiling);
+  return ceiling;
+}
+
+// ==================== ROOF ====================
+// meshes for the solids laid out by roofLayout(), relative to the top of the walls
+function createRoof(part, roof, solids, materials) {
+  const roofMat = materials.get((roof.type === 'flat') ? 'flat-roof' : 'roof');
+  const wallMat = materials.get('wall');
+
+  // numbered per kind: roof 0, roof 1, ..., roof gable 0, ...
+  const counts = {};
+  solids.forEach(solid => {
+    const mesh = new THREE.Mesh(boxUVs(solidGeometry(solid)), (solid.kind === 'roof') ? roofMat : wallMat);
+    const n = counts[solid.kind] = (counts[solid.kind] ?? -1) + 1;
+    mesh.name = (solid.kind === 'roof') ? `roof ${n}` : `roof ${solid.kind} ${n}`;
+    part.group.add(mesh);
+  });
+}
+
+// closed solid over a clockwise plan polygon with a bottom and top height per point;
+// sides are vertical
+function solidGeometry({ polygon, bottom, top }) {
+  const positions = [];
+  const at = (k, heights) => positions.push(polygon[k][0], heights[k], polygon[k][1]);
+
+  // clockwise seen from above faces down, so the top cap is flipped
+  const contour = polygon.map(p => new THREE.Vector2(p[0], p[1]));
+  THREE.ShapeUtils.triangulateShape(contour, []).forEach(([a, b, c]) => {
+    const cw = (polygon[b][0] - polygon[a][0]) * (polygon[c][1] - polygon[a][1]) -
+      (polygon[b][1] - polygon[a][1]) * (polygon[c][0] - polygon[a][0]) > 0;
+    const [u, v, w] = cw ? [a, b, c] : [a, c, b];
+    at(u, bottom); at(v, bottom); at(w, bottom);
+    at(u, top); at(w, top); at(v, top);
+  });
+
+  // sides, leaving out the triangles that stand on a corner of no height (gable ends)
+  const tall = k => top[k] - bottom[k] > EPSILON;
+  polygon.forEach((p, k) => {
+    const j = (k + 1) % polygon.length;
+    if (tall(k)) { at(k, bottom); at(k, top); at(j, top); }
+    if (tall(j)) { at(k, bottom); at(j, top); at(j, bottom); }
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+// ==================== STAIRS ====================
+const TREAD_THICKNESS = 0.04;
+const RISER_THICKNESS = 0.02;
+// stringers reach this far below the pitch line
+const STRINGER_DEPTH = 0.25;
+const RAIL_RADIUS = 0.025;
+const POST_RADIUS = 0.015;
+
+// meshes for a stair laid out by stairLayout(), relative to the floor it starts from
+function createStairs(part, layout, materials) {
+  const woodMat = materials.get('stair-tread');
+  const paintMat = materials.get('stair-riser');
+  const steelMat = materials.get('stair-rail');
+
+  layout.treads.forEach(tread => {
+    part.group.add(planPrism(tread.polygon, tread.top - TREAD_THICKNESS, tread.top, woodMat));
+  });
+
+  layout.risers.forEach(riser => {
+    const polygon = [
+      riser.from,
+      riser.to,
+      shiftPoint(riser.to, riser.back, RISER_THICKNESS),
+      shiftPoint(riser.from, riser.back, RISER_THICKNESS)
+    ];
+    part.group.add(planPrism(polygon, riser.bottom, riser.top - TREAD_THICKNESS, paintMat));
+  });
+
+  layout.stringers.forEach(stringer => {
+    // profile drawn along the flight (x) and up (y), extruded to its normal side
+    const shape = new THREE.Shape([
+      new THREE.Vector2(0, stringer.floor),
+      new THREE.Vector2(stringer.length, Math.max(stringer.floor, stringer.end - STRINGER_DEPTH)),
+      new THREE.Vector2(stringer.length, stringer.end),
+      new THREE.Vector2(0, stringer.start)
+    ]);
+    const geometry = new THREE.ExtrudeGeometry(shape, { depth: stringer.thickness, bevelEnabled: false });
+    const mesh = new THREE.Mesh(geometry, paintMat);
+    const [dx, dz] = stringer.dir;
+    const basis = new THREE.Matrix4().makeBasis(
+      new THREE.Vector3(dx, 0, dz),
+      new THREE.Vector3(0, 1, 0),
+      new THREE.Vector3(-dz, 0, dx)
+    );
+    mesh.quaternion.setFromRotationMatrix(basis);
+    mesh.position.set(stringer.from[0], 0, stringer.from[1]);
+    part.group.add(mesh);
+  });
+
+  if (layout.handrail) {
+    const posts = layout.handrail;
+    posts.forEach((post, k) => {
+      const top = new THREE.Vector3(post.at[0], post.top, post.at[1]);
+      part.group.add(rod(new THREE.Vector3(post.at[0], post.bottom, post.at[1]), top, POST_RADIUS, steelMat));
+      const next = posts[k + 1];
+      if (next) part.group.add(rod(top, new THREE.Vector3(next.at[0], next.top, next.at[1]), RAIL_RADIUS, steelMat));
+    });
+  }
+
+  if (layout.column) {
+    const [x, z] = layout.column.center;
+    part.group.add(rod(new THREE.Vector3(x, 0, z), new THREE.Vector3(x, layout.height, z), layout.column.radius, steelMat));
+  }
+}
+
+// vertical prism over a plan polygon
+function planPrism(points, bottom, top, material) {
+  const shape = new THREE.Shape(points.map(p => new THREE.Vector2(p[0], p[1])));
+  const geometry = new THREE.ExtrudeGeometry(shape, { depth: top - bottom, bevelEnabled: false });
+
+  // the shape lies in XY and extrudes along +Z; turned into XZ it extrudes downwards
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.rotation.x = Math.PI / 2;
+  mesh.position.y = top;
+  return mesh;
+}
+
+// cylinder from a to b
+function rod(a, b, radius, material) {
+  const direction = new THREE.Vector3().subVectors(b, a);
+  const geometry = new THREE.CylinderGeometry(radius, radius, direction.length(), 8);
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.position.addVectors(a, b).multiplyScalar(0.5);
+  mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction.normalize());
+  return mesh;
+}
+
+// ==================== BUILD FROM JSON ====================
+function buildFromBlueprint(bp, model) {
+  const levels = blueprintLevels(bp);
+  levels.forEach(level => addLevel(model, level.name, level.elevation));
+
+  // the roof sits on the default wall height of the top level
+  if (bp.roof) {
+    const top = levels[levels.length - 1];
+    addLevel(model, 'Roof', top.elevation + top.bp.wallHeight);
+  }
+
+  planParts(bp).forEach(plan => model.parts.push(buildPart(plan, model)));
+}
+
+function addLevel(model, name, elevation) {
+  const group = new THREE.Group();
+  group.name = name;
+  group.position.y = elevation;
+  model.root.add(group);
+  model.levels.push({ name, group });
+}
+
+// every part the blueprint needs, level by level: { key, level, change, build } where build()
+// makes the part and key is the JSON it depends on (see update())
+function planParts(bp) {
+  const levels = blueprintLevels(bp);
+  const stairs = planStairs(bp, levels);
+  const walls = levels.map(level => planWalls(level.bp));
+  const stairHolesAt = index => stairs.filter(st => st.arrives === index).flatMap(st => st.layout.opening);
+  // voids in the floor of a level: stair openings and the holes the rooms give their floors
+  const holesAt = index => stairHolesAt(index).concat((levels[index]?.bp.rooms || []).flatMap(floorHoles));
+
+  const parts = levels.flatMap(level => {
+    // ceilings stop under the slab of the level above
+    const above = levels[level.index + 1];
+    const limit = above ? above.elevation - level.elevation - above.slabThickness : Infinity;
+    const stairHoles = stairHolesAt(level.index);
+    const holesAbove = holesAt(level.index + 1);
+
+    // a room depends on its outline, the walls it builds (which already reflect shared walls
+    // and joins with the neighbours) and the voids in its floor and ceiling
+    const rooms = level.bp.rooms.map((room, r) => {
+      const outline = roomOutline(room);
+      // floors and ceilings need an outline that closes: a floor polygon or walls all round
+      const floor = Boolean(room.floor || wallLoop(room.walls));
+      const ceiling = floor ? ceilingHeight(level.bp, room, limit) : null;
+      const spec = {
+        walls: walls[level.index].filter(w => w.owner === r),
+        floor,
+        floorHoles: floorHoles(room).concat(stairHoles.filter(hole => boundsOverlap(hole, outline))),
+        floorTop: floorTop(room, outline),
+        ceiling,
+        ceilingHoles: (ceiling === null) ? [] : holesAbove.filter(hole => boundsOverlap(hole, outline))
+      };
+      return {
+        key: JSON.stringify({ level: level.index, room: r, name: room.name, floor: room.floor, material: room.material, outline, ...spec }),
+        level: level.index,
+        change: { level: level.index, room: r },
+        build: materials => buildRoom(level, room, r, spec, materials)
+      };
+    });
+
+    const flights = stairs.filter(st => st.level === level.index).map(st => ({
+      key: JSON.stringify({ level: level.index, stair: st.stair, layout: st.layout }),
+      level: level.index,
+      change: { level: level.index, stair: st.index },
+      build: materials => buildStair(st, materials)
+    }));
+
+    return rooms.concat(flights);
+  });
+
+  if (bp.roof) {
+    const top = levels[levels.length - 1];
+    const solids = roofLayout(bp.roof, outerFootprints(top.bp), top.bp.wallThickness);
+    parts.push({
+      key: JSON.stringify({ roof: bp.roof, solids }),
+      level: levels.length,
+      change: { roof: true },
+      build: materials => buildRoof(bp.roof, solids, materials)
+    });
+  }
+
+  return parts;
+}
+
+function boundsOverlap(a, b) {
+  const bounds = polygon => [0, 1].map(axis => {
+    const values = polygon.map(p => p[axis]);
+    return [Math.min(...values), Math.max(...values)];
+  });
+  const [ba, bb] = [bounds(a), bounds(b)];
+  return [0, 1].every(axis => ba[axis][0] < bb[axis][1] && bb[axis][0] < ba[axis][1]);
+}
+
+function buildPart(plan, model) {
+  const part = plan.build(model.materials);
+  // everything takes the sun's shadows and casts them, except glass, which lets the sun in
+  part.group.traverse(object => {
+    if (!object.isMesh) return;
+    object.castShadow = ![].concat(object.material).some(material => material.transparent);
+    object.receiveShadow = true;
+  });
+  part.key = plan.key;
+  part.level = plan.level;
+  model.levels[plan.level].group.add(part.group);
+  return part;
+}
+
+// the walls to build for one level: shared walls merged, faces placed from the
+// reference lines and corner joins applied (all of which cross room boundaries);
+// each wall is built by the room that owns it, from the lowest floor of the rooms it bounds
+function planWalls(bp) {
+  const { walls } = mergeSharedWalls(bp);
+  const faces = wallFaces(bp, walls);
+  const sides = wallSides(bp, walls);
+  const footprints = computeWallFootprints(walls.map((w, k) => ({ from: w.from, to: w.to, bulge: w.bulge, ...faces[k] })));
+  const lowest = bp.rooms.map(room => Math.min(0, ...floorTop(room, roomOutline(room))));
+  return walls.map((w, k) => ({
+    ...w,
+    footprint: footprints[k],
+    bottom: Math.min(...w.sources.map(src => lowest[src.room])),
+    center: (faces[k].left + faces[k].right) / 2,
+    thickness: faces[k].left - faces[k].right,
+    faces: faceMaterials(bp, w, sides[k])
+  }));
+}
+
+// material names for the sides of a wall, { left, right, edge }: a side facing a room takes that
+// room's inside material for the wall, a side facing out the owner's outside material; the
+// wall's own `material` comes first, then its room's `material.walls` (either a name for both
+// sides or { inside, outside }). Ends, top and reveals go with a side facing a room.
+function faceMaterials(bp, w, sides) {
+  const pick = (value, side) => (typeof value === 'string') ? value : value?.[side];
+  const material = (src, side) => {
+    const room = bp.rooms[src.room];
+    return pick(room.walls[src.wall].material, side) ?? pick(room.material?.walls, side) ?? 'wall';
+  };
+  const owner = w.sources[0];
+  const left = sides.left ? material(sides.left, 'inside') : material(owner, 'outside');
+  const right = sides.right ? material(sides.right, 'inside') : material(owner, 'outside');
+  return { left, right, edge: sides.left ? left : right };
+}
+
+// `spec` holds what planParts() worked out for the room:
+// { walls, floor, floorHoles, floorTop, ceiling, ceilingHoles }
+function buildRoom(level, room, r, spec, materials) {
+  // walls map "levelIndex:roomIndex:wallIndex" of every source to the merged wall's mesh
+  const part = { group: new THREE.Group(), doors: [], walls: new Map() };
+  const roomName = k => level.bp.rooms[k].name || `room ${k}`;
+  const wallName = src => `${roomName(src.room)} wall ${src.wall}`;
+  part.group.name = roomName(r);
+
+  // add walls (zero-length walls are reported by the linter and never reach this point); a wall
+  // split into runs of different height or thickness is named once per run
+  const runs = new Map();
+  spec.walls.forEach(w => {
+    const own = wallName(w.sources.find(src => src.room === r));
+    runs.set(own, (runs.get(own) || 0) + 1);
+    const name = (runs.get(own) > 1) ? `${own} part ${runs.get(own)}` : own;
+    const wallMesh = createWallWithOpenings(part, w, wallName, materials);
+    wallMesh.name = name;
+    part.group.add(wallMesh);
+    w.sources.forEach(src => part.walls.set(`${level.index}:${src.room}:${src.wall}`, wallMesh));
+  });
+
+  // a slab under every room whose floor is given or whose walls close around it, on every
+  // level (edges along arc walls follow the curve)
+  if (spec.floor) {
+    const floorMat = materials.get(room.material?.floor, 'floor');
+    createSlab(part, roomOutline(room), level.slabThickness, spec.floorHoles, spec.floorTop, floorMat);
+  }
+
+  if (spec.ceiling !== null) {
+    createCeiling(part, roomOutline(room), spec.ceiling, spec.ceilingHoles, materials.get(room.material?.ceiling, 'ceiling'));
+  }
+
+  return part;
+}
+
+// a room's ceiling sits at its wall height, at `ceiling` when that is a number, or nowhere when it
+// is false or the room is outdoors; never above `limit`
+function ceilingHeight(bp, room, limit) {
+  if (room.ceiling === false || (room.outdoor && room.ceiling === undefined)) return null;
+  const height = (typeof room.ceiling === 'number') ? room.ceiling : (room.wallHeight ?? bp.wallHeight);
+  return Math.min(height, limit);
+}
+
+// stairs with the level they start on, the level they arrive at (null when none is above)
+// and their layout; stairs between missing levels are left to the linter
+function planStairs(bp, levels) {
+  return (bp.stairs || []).flatMap((stair, s) => {
+    const from = levels[stair.fromLevel ?? 0];
+    const to = levels[stair.toLevel ?? (stair.fromLevel ?? 0) + 1] || null;
+    if (!from || (stair.toLevel !== undefined && !to)) return [];
+
+    // without a level above, the stair climbs to where the next floor would be
+    const height = to ? to.elevation - from.elevation : from.height;
+    if (height <= 0) return [];
+    return [{ stair, index: s, level: from.index, arrives: to && to.index, layout: stairLayout(stair, height) }];
+  });
+}
+
+function buildRoof(roof, solids, materials) {
+  const part = { group: new THREE.Group(), doors: [], walls: new Map() };
+  part.group.name = 'roof';
+  createRoof(part, roof, solids, materials);
+  return part;
+}
+
+function buildStair(plan, materials) {
+  const part = { group: new THREE.Group(), doors: [], walls: new Map() };
+  part.group.name = plan.stair.name || `stairs ${plan.index}`;
+  createStairs(part, plan.layout, materials);
+  return part;
+}
+
+function settingsKey(bp) {
+  const { rooms, levels, stairs, roof, ...settings } = bp;
+  return JSON.stringify({ ...settings, levels: (levels || []).map(({ rooms, ...level }) => level), roof: Boolean(roof) });
+}
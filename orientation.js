@@ -0,0 +1,48 @@
+// ==================== IMPORTS ====================
+import { EPSILON, wallLength, wallPath } from './geometry.js';
+import { interiorOnLeft } from './walls.js';
+import { blueprintLevels } from './levels.js';
+
+const DEG = Math.PI / 180;
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+// ==================== ORIENTATION ====================
+// Relates the plan to the compass. The blueprint's `northAngle` is the direction of true north
+// on the plan in degrees, clockwise from -z (the plan is seen from above, z down the page);
+// bearings are degrees clockwise from true north, as on a map (E = 90).
+
+// unit plan direction [x, z] of a bearing
+export function planDirection(bearing, northAngle = 0) {
+  const angle = (northAngle + bearing) * DEG;
+  return [Math.sin(angle), -Math.cos(angle)];
+}
+
+// bearing of a plan direction [x, z], from 0 up to 360
+export function bearingOf(direction, northAngle = 0) {
+  const bearing = Math.atan2(direction[0], -direction[1]) / DEG - northAngle;
+  return ((bearing % 360) + 360) % 360;
+}
+
+// nearest of the eight compass points (N, NE, E, ...) to a bearing
+export function compassPoint(bearing) {
+  return COMPASS_POINTS[Math.round(((bearing % 360) + 360) % 360 / 45) % 8];
+}
+
+// bearing the outside face of a wall looks towards, away from `room` (the room that lists it),
+// taken at the middle of an arc wall
+export function wallBearing(room, w, northAngle = 0) {
+  const path = wallPath(w);
+  const [x, z] = path.normalAt(path.length / 2);
+  const outward = interiorOnLeft(room, w) ? [-x, -z] : [x, z];
+  return bearingOf(outward, northAngle);
+}
+
+// which way every wall of the blueprint faces, level by level:
+// [{ level, room, wall, path, bearing, facing }] where facing is its compass point, e.g. 'SW'
+export function wallFacings(bp) {
+  return blueprintLevels(bp).flatMap(level => level.bp.rooms.flatMap((room, r) => room.walls.flatMap((w, i) => {
+    if (wallLength(w.from, w.to) < EPSILON) return [];
+    const bearing = wallBearing(room, w, bp.northAngle);
+    return [{ level: level.index, room: r, wall: i, path: `${level.path}rooms[${r}].walls[${i}]`, bearing, facing: compassPoint(bearing) }];
+  })));
+}
@@ -0,0 +1,91 @@
+// ==================== MESSAGE PANEL ====================
+// Small overlay in the top-left corner listing blueprint problems.
+// Items are { severity: 'error' | 'warning', text, onSelect? }; clicking an item calls onSelect.
+let panel = null;
+
+const COLORS = { error: '#c33', warning: '#b77400' };
+
+export function showMessages(title, items) {
+  clearMessages();
+
+  const hasErrors = items.some(item => item.severity === 'error');
+
+  panel = overlayPanel(
+    'top:10px;left:10px;',
+    'max-width:480px;max-height:60vh;overflow:auto;padding:10px 14px;' +
+    `border:1px solid ${hasErrors ? COLORS.error : COLORS.warning};font:13px/1.4 monospace;color:#222;`
+  );
+
+  const heading = document.createElement('div');
+  heading.style.cssText =
+    `font-weight:bold;color:${hasErrors ? COLORS.error : COLORS.warning};margin-bottom:6px;cursor:pointer;`;
+  heading.textContent = title;
+  heading.title = 'Click to collapse';
+  panel.appendChild(heading);
+
+  const list = document.createElement('ul');
+  list.style.cssText = 'margin:0;padding-left:18px;';
+  items.forEach(item => {
+    const entry = document.createElement('li');
+    entry.style.color = COLORS[item.severity] || '#222';
+    entry.textContent = `${item.severity}: ${item.text}`;
+    if (item.onSelect) {
+      entry.style.cursor = 'pointer';
+      entry.addEventListener('click', () => {
+        list.querySelectorAll('li').forEach(li => (li.style.background = ''));
+        entry.style.background = '#ffe9a8';
+        item.onSelect();
+      });
+    }
+    list.appendChild(entry);
+  });
+  panel.appendChild(list);
+
+  heading.addEventListener('click', () => {
+    list.style.display = (list.style.display === 'none') ? '' : 'none';
+  });
+
+  document.body.appendChild(panel);
+}
+
+export function clearMessages() {
+  if (panel) panel.remove();
+  panel = null;
+}
+
+// ==================== OVERLAY HELPERS ====================
+// shared by the panels on top of the canvas (see levelpanel.js and sunpanel.js)
+
+// the look of the small control panels
+export const CONTROL_STYLE = 'padding:8px 12px;border:1px solid #999;font:13px/1.6 sans-serif;color:#222;';
+
+// a box at `position` (CSS offsets such as 'bottom:10px;left:10px;') styled by `style`; clicks on
+// it are kept from reaching the door handler on window
+export function overlayPanel(position, style = CONTROL_STYLE) {
+  const element = document.createElement('div');
+  element.style.cssText =
+    `position:absolute;${position}background:rgba(255,255,255,0.95);box-shadow:0 2px 6px rgba(0,0,0,0.2);${style}`;
+  element.addEventListener('click', event => event.stopPropagation());
+  return element;
+}
+
+// bold title line of a control panel, followed by `buttons`
+export function panelHeading(text, ...buttons) {
+  const heading = document.createElement('div');
+  heading.style.cssText = 'font-weight:bold;margin-bottom:4px;';
+  heading.textContent = `${text} `;
+  buttons.forEach(button => heading.appendChild(button));
+  return heading;
+}
+
+export function linkButton(text, onClick) {
+  const button = document.createElement('a');
+  button.href = '#';
+  button.textContent = text;
+  button.style.cssText = 'font-weight:normal;font-size:12px;color:#06c;';
+  button.addEventListener('click', event => {
+    event.preventDefault();
+    onClick();
+  });
+  return button;
+}
@@ -0,0 +1,136 @@
+// ==================== IMPORTS ====================
+import { EPSILON, intersectOutlines, offsetPolygon, orientedRectangle, shiftPoint, unionOutlines, wallLength } from './geometry.js';
+
+// defaults for roof fields the blueprint leaves out
+const DEFAULT_PITCH = 30;
+const DEFAULT_OVERHANG = 0.3;
+const DEFAULT_THICKNESS = 0.15;
+const DEFAULT_PARAPET = 0.6;
+const PARAPET_THICKNESS = 0.15;
+
+// ==================== ROOF LAYOUT ====================
+// Lays out the blueprint's roof over the building's outer footprints (plan polygons, see
+// unionOutlines() in geometry.js), with heights measured from the top of the walls it sits on.
+// Returns solids { kind, polygon, bottom, top }: a clockwise plan polygon with the
+// bottom and top height at each of its points (sides are vertical), where kind is
+//   'roof'    the roof itself: a flat slab or the sloped planes
+//   'parapet' the low wall around a flat roof
+//   'gable'   wall infill up to the underside of a gable or shed roof
+// A pitched roof covers footprints whose overhangs meet as one: its planes span the smallest
+// rectangle around them, with the ridge along its longer side, and are cut to the outline of
+// the footprints and their overhang; `gableThickness` is the thickness of the infill walls.
+export function roofLayout(roof, footprints, gableThickness) {
+  if (roof.type === 'flat') return footprints.flatMap(footprint => flatRoof(roof, footprint));
+  return pitchedSpans(roof, footprints).flatMap(({ outline, footprints: covered }) =>
+    pitchedRoof(roof, outline, covered, gableThickness));
+}
+
+// the pitched roofs over the footprints: { outline, footprints } for each group of footprints
+// whose overhangs meet, with the outline of the roof over them
+export function pitchedSpans(roof, footprints) {
+  const overhang = roof.overhang ?? DEFAULT_OVERHANG;
+  return unionOutlines(footprints.map(footprint => offsetPolygon(footprint, overhang))).map(outline => ({
+    outline,
+    footprints: footprints.filter(footprint => intersectOutlines(footprint, outline).length > 0)
+  }));
+}
+
+function flatRoof(roof, footprint) {
+  const thickness = roof.thickness ?? DEFAULT_THICKNESS;
+  const parapet = roof.parapet ?? DEFAULT_PARAPET;
+  const outline = offsetPolygon(footprint, roof.overhang ?? 0);
+  const solids = [uniform('roof', outline, 0, thickness)];
+  if (parapet <= 0) return solids;
+
+  // one quad per edge between the roof edge and a copy of it moved inwards
+  const inner = offsetPolygon(outline, -PARAPET_THICKNESS);
+  outline.forEach((p, k) => {
+    const j = (k + 1) % outline.length;
+    solids.push(uniform('parapet', [p, outline[j], inner[j], inner[k]], thickness, thickness + parapet));
+  });
+  return solids;
+}
+
+// gable, hip and shed roofs; the planes pass the top of the walls at the rectangle around the
+// footprints, so the eaves of an overhang hang below it, and walls inside the rectangle (where
+// a footprint is not a rectangle) are filled up to the roof like gables
+function pitchedRoof(roof, outline, footprints, gableThickness) {
+  const { center, axis, length, width } = orientedRectangle(footprints.flat());
+  const slope = Math.tan((roof.pitch ?? DEFAULT_PITCH) * Math.PI / 180);
+  const thickness = roof.thickness ?? DEFAULT_THICKNESS;
+  const o = roof.overhang ?? DEFAULT_OVERHANG;
+  const A = length / 2;
+  const B = width / 2;
+
+  // rectangle coordinates: u along the ridge, v across it
+  const across = [-axis[1], axis[0]];
+  const toPlan = (u, v) => shiftPoint(shiftPoint(center, axis, u), across, v);
+  const heightAt = {
+    gable: (u, v) => (B - Math.abs(v)) * slope,
+    hip: (u, v) => Math.min(B - Math.abs(v), A - Math.abs(u)) * slope,
+    shed: (u, v) => (v + B) * slope
+  }[roof.type];
+  const heightOf = p => {
+    const d = [p[0] - center[0], p[1] - center[1]];
+    return heightAt(d[0] * axis[0] + d[1] * axis[1], d[0] * across[0] + d[1] * across[1]);
+  };
+
+  const [U, V] = [A + o, B + o];
+  const planes = {
+    gable: [
+      [[-U, -V], [U, -V], [U, 0], [-U, 0]],
+      [[-U, 0], [U, 0], [U, V], [-U, V]]
+    ],
+    hip: [
+      [[-U, -V], [U, -V], [A - B, 0], [-(A - B), 0]],
+      [[U, -V], [U, V], [A - B, 0]],
+      [[U, V], [-U, V], [-(A - B), 0], [A - B, 0]],
+      [[-U, V], [-U, -V], [-(A - B), 0]]
+    ],
+    shed: [
+      [[-U, -V], [U, -V], [U, V], [-U, V]]
+    ]
+  }[roof.type].map(plane => dedupe(plane).map(([u, v]) => toPlan(u, v)));
+
+  // each plane, and each piece of infill, is cut where the height changes slope
+  const solids = planes.flatMap(plane => intersectOutlines(plane, outline).map(polygon => {
+    const heights = polygon.map(heightOf);
+    return { kind: 'roof', polygon, bottom: heights, top: heights.map(h => h + thickness) };
+  }));
+
+  // infill under the roof along each footprint edge: the strip of wall just inside it
+  // (nothing under a hip roof's eaves)
+  footprints.forEach(footprint => footprint.forEach((p, k) => {
+    const q = footprint[(k + 1) % footprint.length];
+    if (Math.max(...[p, q, lerp(p, q, 0.5)].map(heightOf)) < EPSILON) return;
+
+    const edge = wallLength(p, q);
+    const inward = [-(q[1] - p[1]) / edge, (q[0] - p[0]) / edge];
+    const strip = [p, q, shiftPoint(q, inward, gableThickness), shiftPoint(p, inward, gableThickness)];
+    planes.forEach(plane => intersectOutlines(strip, plane).forEach(polygon => solids.push({
+      kind: 'gable',
+      polygon,
+      bottom: polygon.map(() => 0),
+      top: polygon.map(heightOf)
+    })));
+  }));
+
+  return solids;
+}
+
+// ==================== HELPERS ====================
+function uniform(kind, polygon, bottom, top) {
+  return { kind, polygon, bottom: polygon.map(() => bottom), top: polygon.map(() => top) };
+}
+
+function lerp(a, b, t) {
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+}
+
+// a hip roof over a square footprint has no ridge: its planes lose a point
+function dedupe(polygon) {
+  return polygon.filter((p, k) => {
+    const q = polygon[(k + 1) % polygon.length];
+    return Math.abs(p[0] - q[0]) > EPSILON || Math.abs(p[1] - q[1]) > EPSILON;
+  });
+}
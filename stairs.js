@@ -0,0 +1,209 @@
+// ==================== IMPORTS ====================
+import { EPSILON, signedArea, shiftPoint } from './geometry.js';
+
+// defaults for stair fields the blueprint leaves out
+const DEFAULT_RISE = 0.18;
+const DEFAULT_RUN = 0.25;
+
+const HANDRAIL_HEIGHT = 0.9;
+// handrails run this far in from the edge of the treads
+const HANDRAIL_INSET = 0.05;
+const STRINGER_THICKNESS = 0.04;
+// spiral stairs turn around a column at least this thick
+const MIN_COLUMN_RADIUS = 0.05;
+// the slab opening is this much larger than the stair all round
+const OPENING_CLEARANCE = 0.05;
+// sweep covered by one straight segment of a curved edge
+const ARC_STEP = Math.PI / 24;
+
+// ==================== STAIR LAYOUT ====================
+// Lays out one blueprint stair climbing `height` as plan polygons and heights relative to the
+// floor it starts from; model.js turns them into meshes. The topmost riser steps onto the upper
+// floor, so there is one tread fewer than risers. Returns
+//   { height, riser, treads, risers, stringers, handrail, column, opening } where
+//   treads:    [{ polygon, top }] clockwise, landings included
+//   risers:    [{ from, to, back, bottom, top }] along the front edge from→to; `back` is the
+//              unit plan direction towards the tread above
+//   stringers: [{ from, dir, length, thickness, floor, start, end }] side plates of the straight
+//              flights: from `from` along `dir`, lying on its normal side (see rectangle()), on
+//              `floor` and following the pitch line from height `start` at the first nosing
+//              to `end` where the flight meets the landing or floor above
+//   handrail:  [{ at, bottom, top }] posts along the outer side of the stair, standing on the
+//              tread at height `bottom`; the rail runs over their tops. null without a handrail
+//   column:    { center, radius } centre post of a spiral stair, or null
+//   opening:   plan polygons to cut from the slab of the level the stair arrives at
+export function stairLayout(stair, height) {
+  const rise = stair.rise ?? DEFAULT_RISE;
+  const count = Math.max(2, Math.ceil(height / rise - EPSILON));
+
+  const layout = {
+    height,
+    riser: height / count,
+    treads: [],
+    risers: [],
+    stringers: [],
+    handrail: [],
+    column: null,
+    opening: []
+  };
+  const angle = (stair.direction || 0) * Math.PI / 180;
+  const spec = {
+    start: stair.start,
+    dir: [Math.cos(angle), Math.sin(angle)],
+    run: stair.run ?? DEFAULT_RUN,
+    width: stair.width,
+    // 1 turns from +x towards +z: clockwise seen from above, to the right of someone climbing
+    turn: (stair.turn === 'right') ? 1 : -1,
+    steps: count - 1
+  };
+
+  if (stair.type === 'spiral') {
+    spiral(layout, spec, stair.radius ?? stair.width + MIN_COLUMN_RADIUS);
+  } else if (stair.type === 'straight') {
+    flight(layout, spec, spec.start, spec.dir, 0, spec.steps);
+  } else {
+    turning(layout, spec, stair.type, stair.landingAfter);
+  }
+
+  if (stair.handrail === false) layout.handrail = null;
+  return layout;
+}
+
+// L and U stairs: two straight flights joined by a landing that turns the stair by 90° or 180°
+function turning(layout, spec, type, landingAfter) {
+  const { start, dir, width, turn, steps } = spec;
+  const half = width / 2;
+
+  // the landing counts as one tread
+  const first = Math.min(landingAfter ?? Math.floor((steps - 1) / 2), steps - 1);
+  const second = steps - 1 - first;
+  const across = [-dir[1] * turn, dir[0] * turn]; // towards the turn
+  const corner = shiftPoint(start, dir, first * spec.run);
+  const back = shiftPoint(corner, dir, width - HANDRAIL_INSET);
+  const outer = shiftPoint(corner, across, -half + HANDRAIL_INSET);
+
+  flight(layout, spec, start, dir, 0, first);
+
+  if (type === 'L') {
+    // a square landing; the second flight leaves from its side
+    const landing = rectangle(corner, dir, width, half, half);
+    addTread(layout, landing, first, shiftPoint(corner, across, -half), shiftPoint(corner, across, half), dir);
+    addOpening(layout, corner, dir, width, half, half);
+    addRail(layout, [outer, shiftPoint(back, across, -half + HANDRAIL_INSET), shiftPoint(back, across, half)], first);
+    flight(layout, spec, shiftPoint(shiftPoint(corner, dir, half), across, half), across, first + 1, second);
+  } else {
+    // a landing across both flights; the second flight runs back alongside the first
+    const [left, right] = (turn > 0) ? [3 * half, half] : [half, 3 * half];
+    addTread(layout, rectangle(corner, dir, width, left, right), first, shiftPoint(corner, across, -half), shiftPoint(corner, across, half), dir);
+    addOpening(layout, corner, dir, width, left, right);
+    addRail(layout, [
+      outer,
+      shiftPoint(back, across, -half + HANDRAIL_INSET),
+      shiftPoint(back, across, 3 * half - HANDRAIL_INSET),
+      shiftPoint(corner, across, 3 * half - HANDRAIL_INSET)
+    ], first);
+    flight(layout, spec, shiftPoint(corner, across, width), [-dir[0], -dir[1]], first + 1, second);
+  }
+}
+
+// `count` treads from `start` (the middle of the first riser) along `dir`, the first of them
+// being tread `index` of the stair (0 = lowest)
+function flight(layout, spec, start, dir, index, count) {
+  const { run, width, turn, steps } = spec;
+  const { riser } = layout;
+  const half = width / 2;
+  const normal = [-dir[1], dir[0]];
+  const length = count * run;
+  const end = shiftPoint(start, dir, length);
+  const last = (index + count === steps);
+  if (count === 0 && !last) return;
+
+  for (let k = 0; k < count; k++) {
+    const front = shiftPoint(start, dir, k * run);
+    const tread = rectangle(front, dir, run, half, half);
+    addTread(layout, tread, index + k, shiftPoint(front, normal, -half), shiftPoint(front, normal, half), dir);
+  }
+  if (last) {
+    addRiser(layout, shiftPoint(end, normal, -half), shiftPoint(end, normal, half), dir, steps);
+  }
+
+  // side plates from the floor (or landing) below, up along the nosings
+  const nosings = { floor: index * riser, start: (index + 1) * riser, end: (index + count + 1) * riser };
+  if (count > 0) {
+    addOpening(layout, start, dir, length, half, half);
+    layout.stringers.push({ from: shiftPoint(start, normal, half), dir, length, thickness: STRINGER_THICKNESS, ...nosings });
+    layout.stringers.push({ from: shiftPoint(start, normal, -half - STRINGER_THICKNESS), dir, length, thickness: STRINGER_THICKNESS, ...nosings });
+  }
+
+  // handrail on the side away from the turn
+  const side = -turn * (half - HANDRAIL_INSET);
+  addRail(layout, [shiftPoint(start, normal, side)], index);
+  addRail(layout, [shiftPoint(end, normal, side)], index + count - (last ? 0 : 1));
+}
+
+// treads fanning around a centre column; `run` is measured on the walking line, mid-width
+function spiral(layout, spec, radius) {
+  const { start: center, dir, run, width, turn, steps } = spec;
+  const inner = Math.max(radius - width, MIN_COLUMN_RADIUS);
+  const sweep = turn * run / ((radius + inner) / 2);
+  const first = Math.atan2(dir[1], dir[0]);
+  const at = (r, a) => [center[0] + r * Math.cos(a), center[1] + r * Math.sin(a)];
+  const tangent = a => [-Math.sin(a) * turn, Math.cos(a) * turn];
+
+  for (let k = 0; k < steps; k++) {
+    const a0 = first + k * sweep;
+    const outer = arc(at, radius, a0, a0 + sweep);
+    addTread(layout, [at(inner, a0), ...outer, at(inner, a0 + sweep)], k, at(inner, a0), at(radius, a0), tangent(a0));
+    addRail(layout, [at(radius - HANDRAIL_INSET, a0)], k);
+  }
+  const end = first + steps * sweep;
+  addRiser(layout, at(inner, end), at(radius, end), tangent(end), steps);
+  addRail(layout, [at(radius - HANDRAIL_INSET, end)], steps);
+
+  layout.column = { center, radius: inner };
+  layout.opening.push(arc(at, radius + OPENING_CLEARANCE, 0, 2 * Math.PI).slice(0, -1));
+}
+
+// ==================== HELPERS ====================
+// tread `index` (its top `index + 1` risers up) and the riser under its front edge
+function addTread(layout, polygon, index, from, to, back) {
+  layout.treads.push({ polygon: signedArea(polygon) < 0 ? polygon.slice().reverse() : polygon, top: (index + 1) * layout.riser });
+  addRiser(layout, from, to, back, index);
+}
+
+function addRiser(layout, from, to, back, index) {
+  layout.risers.push({ from, to, back, bottom: index * layout.riser, top: (index + 1) * layout.riser });
+}
+
+// handrail posts on tread `index`
+function addRail(layout, points, index) {
+  const bottom = (index + 1) * layout.riser;
+  points.forEach(at => layout.handrail.push({ at, bottom, top: bottom + HANDRAIL_HEIGHT }));
+}
+
+// slab opening over a rectangle of the stair (see rectangle()), with some clearance all round
+function addOpening(layout, start, dir, length, left, right) {
+  const c = OPENING_CLEARANCE;
+  layout.opening.push(rectangle(shiftPoint(start, dir, -c), dir, length + 2 * c, left + c, right + c));
+}
+
+// rectangle from `start` along `dir` for `length`, reaching `left` to its normal side (`dir` turned a
+// quarter clockwise, to the right of someone walking along it) and `right` to the other side
+function rectangle(start, dir, length, left, right) {
+  const normal = [-dir[1], dir[0]];
+  const end = shiftPoint(start, dir, length);
+  return [
+    shiftPoint(start, normal, -right),
+    shiftPoint(end, normal, -right),
+    shiftPoint(end, normal, left),
+    shiftPoint(start, normal, left)
+  ];
+}
+
+// points on a circle from angle a0 to a1, one per ARC_STEP
+function arc(at, radius, a0, a1) {
+  const steps = Math.max(1, Math.ceil(Math.abs(a1 - a0) / ARC_STEP));
+  const points = [];
+  for (let j = 0; j <= steps; j++) points.push(at(radius, a0 + (a1 - a0) * j / steps));
+  return points;
+}
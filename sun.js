@@ -0,0 +1,54 @@
+// ==================== IMPORTS ====================
+import { planDirection } from './orientation.js';
+
+// ==================== SUN POSITION ====================
+// Where the sun stands for a blueprint's `site` ({ latitude, longitude }, degrees, north and east
+// positive) at a moment `date` (a Date). Low precision solar coordinates, within a degree or so
+// between 1950 and 2050, which is plenty for shadow studies.
+const DEG = Math.PI / 180;
+// days from 1970-01-01 to the J2000 epoch (2000-01-01 12:00 UTC)
+const J2000 = 10957.5;
+const DAY = 86400000;
+
+// { azimuth, altitude } in radians: azimuth clockwise from north (east = π/2), altitude above
+// the horizon (negative at night)
+export function sunPosition(date, latitude, longitude) {
+  const d = date.getTime() / DAY - J2000;
+
+  // the sun on the ecliptic, then on the sky
+  const meanLongitude = 280.460 + 0.9856474 * d;
+  const anomaly = (357.528 + 0.9856003 * d) * DEG;
+  const eclipticLongitude = (meanLongitude + 1.915 * Math.sin(anomaly) + 0.020 * Math.sin(2 * anomaly)) * DEG;
+  const obliquity = (23.439 - 0.0000004 * d) * DEG;
+  const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude));
+  const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+
+  // how far the earth has turned the site past it
+  const siderealTime = (280.46061837 + 360.98564736629 * d + longitude) * DEG;
+  const hourAngle = siderealTime - rightAscension;
+  const phi = latitude * DEG;
+
+  const altitude = Math.asin(Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle));
+  const azimuth = Math.atan2(
+    -Math.cos(declination) * Math.sin(hourAngle),
+    Math.sin(declination) * Math.cos(phi) - Math.cos(declination) * Math.cos(hourAngle) * Math.sin(phi)
+  );
+  return { azimuth: (azimuth + 2 * Math.PI) % (2 * Math.PI), altitude };
+}
+
+// unit vector [x, y, z] towards the sun in the scene (plan x, up, plan z), for a plan whose north
+// is at `northAngle` (see orientation.js)
+export function sunDirection(date, site, northAngle = 0) {
+  const { azimuth, altitude } = sunPosition(date, site.latitude, site.longitude);
+  const [x, z] = planDirection(azimuth / DEG, northAngle);
+  const across = Math.cos(altitude);
+  return [across * x, Math.sin(altitude), across * z];
+}
+
+// the moment `minutes` into `day` ('YYYY-MM-DD') on the site's clock, `utcOffset` hours ahead
+// of UTC (the longitude's time zone if absent)
+export function siteTime(day, minutes, site) {
+  const [year, month, date] = day.split('-').map(Number);
+  const offset = site.utcOffset ?? Math.round(site.longitude / 15);
+  return new Date(Date.UTC(year, month - 1, date, 0, minutes) - offset * 3600000);
+}
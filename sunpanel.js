@@ -0,0 +1,86 @@
+// ==================== IMPORTS ====================
+import { overlayPanel, panelHeading, linkButton } from './panel.js';
+
+// ==================== SUN PANEL ====================
+// Overlay in the bottom-right corner for sun studies on blueprints with a site: the date, a
+// slider for the time of day on the site's clock and "play" to run through the day.
+// onChange(day, minutes) gets the chosen day ('YYYY-MM-DD') and minutes after midnight on every
+// change and once at the start; the choice is remembered across reloads.
+let panel = null;
+let timer = null;
+
+// minutes the clock moves per tick while playing, and ticks per second
+const PLAY_STEP = 4;
+const PLAY_RATE = 25;
+
+const chosen = { day: new Date().toISOString().slice(0, 10), minutes: 12 * 60 };
+
+export function showSunPanel(onChange) {
+  clearSunPanel();
+
+  panel = overlayPanel('bottom:10px;right:10px;');
+  const play = linkButton('play', () => (timer ? stop() : start()));
+  panel.appendChild(panelHeading('Sun', play));
+
+  const date = document.createElement('input');
+  date.type = 'date';
+  date.value = chosen.day;
+  date.addEventListener('change', () => {
+    if (!date.value) return;
+    chosen.day = date.value;
+    changed();
+  });
+  panel.appendChild(date);
+
+  const row = document.createElement('div');
+  const slider = document.createElement('input');
+  slider.type = 'range';
+  slider.min = 0;
+  slider.max = 24 * 60 - 1;
+  slider.step = 1;
+  slider.value = chosen.minutes;
+  slider.style.cssText = 'width:180px;vertical-align:middle;';
+  slider.addEventListener('input', () => {
+    chosen.minutes = Number(slider.value);
+    changed();
+  });
+  const clock = document.createElement('span');
+  clock.style.cssText = 'display:inline-block;width:44px;text-align:right;font-family:monospace;';
+  row.appendChild(slider);
+  row.appendChild(clock);
+  panel.appendChild(row);
+
+  const changed = () => {
+    clock.textContent = formatTime(chosen.minutes);
+    onChange(chosen.day, chosen.minutes);
+  };
+  const start = () => {
+    play.textContent = 'pause';
+    timer = setInterval(() => {
+      chosen.minutes = (chosen.minutes + PLAY_STEP) % (24 * 60);
+      slider.value = chosen.minutes;
+      changed();
+    }, 1000 / PLAY_RATE);
+  };
+  const stop = () => {
+    play.textContent = 'play';
+    clearInterval(timer);
+    timer = null;
+  };
+
+  document.body.appendChild(panel);
+  changed();
+}
+
+export function clearSunPanel() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  if (panel) panel.remove();
+  panel = null;
+}
+
+// ==================== HELPERS ====================
+function formatTime(minutes) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { migrateBlueprint } from '../migrate.js';
+import { loadSchema, validateBlueprint } from '../validate.js';
+
+// validate.js fetches its schema, and Node's fetch cannot read files
+globalThis.fetch = async url => ({ ok: true, json: async () => JSON.parse(await readFile(url)) });
+
+function blueprint(openings) {
+  return {
+    wallHeight: 3,
+    wallThickness: 0.2,
+    rooms: [{ walls: [{ from: [0, 0], to: [4, 0], openings }] }]
+  };
+}
+
+test('a file without a version keeps its sill trim and still validates', async () => {
+  await loadSchema();
+  const bp = migrateBlueprint(blueprint([
+    { type: 'window', width: 1, height: 1, offset: 1, sillHeight: 0.9, sillTrim: false },
+    { type: 'window', width: 1, height: 1, offset: 3, sillHeight: 0.9, sillTrim: { projection: 0.06 } }
+  ]));
+
+  const [plain, trimmed] = bp.rooms[0].walls[0].openings;
+  assert.equal(bp.version, 2);
+  assert.equal(plain.sillTrim, false);
+  assert.deepEqual(trimmed.sillTrim, { projection: 0.06 });
+  assert.deepEqual(validateBlueprint(bp), []);
+});
+
+test('a file without a version has its old sill heights moved to sillHeight', async () => {
+  await loadSchema();
+  const bp = migrateBlueprint(blueprint([{ type: 'window', width: 1, height: 1, offset: 1, sill: 1.1 }]));
+
+  const [op] = bp.rooms[0].walls[0].openings;
+  assert.equal(op.sillHeight, 1.1);
+  assert.equal(op.sill, undefined);
+  assert.deepEqual(validateBlueprint(bp), []);
+});
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { bearingOf, compassPoint, planDirection, wallBearing, wallFacings } from '../orientation.js';
+
+// a 4 × 3 room, walls listed top, right, bottom, left on the plan (z down the page)
+const room = {
+  walls: [
+    { from: [0, 0], to: [4, 0] },
+    { from: [4, 0], to: [4, 3] },
+    { from: [4, 3], to: [0, 3] },
+    { from: [0, 3], to: [0, 0] }
+  ]
+};
+
+test('each face of an axis-aligned room looks away from it', () => {
+  assert.deepEqual(room.walls.map(w => Math.round(wallBearing(room, w))), [0, 90, 180, 270]);
+  assert.deepEqual(room.walls.map(w => Math.round(wallBearing(room, w, 90))), [270, 0, 90, 180]);
+});
+
+test('the order the walls are listed in does not change where they face', () => {
+  const reversed = { walls: room.walls.map(w => ({ from: w.to, to: w.from })).reverse() };
+  assert.deepEqual(reversed.walls.map(w => Math.round(wallBearing(reversed, w))), [270, 180, 90, 0]);
+});
+
+test('bearingOf undoes planDirection', () => {
+  [0, 45, 90, 200, 315].forEach(bearing => [0, 30, 90].forEach(northAngle => {
+    assert.ok(Math.abs(bearingOf(planDirection(bearing, northAngle), northAngle) - bearing) < 1e-9);
+  }));
+});
+
+test('compassPoint rounds to the nearest of the eight points', () => {
+  assert.equal(compassPoint(0), 'N');
+  assert.equal(compassPoint(22), 'N');
+  assert.equal(compassPoint(23), 'NE');
+  assert.equal(compassPoint(45), 'NE');
+  assert.equal(compassPoint(350), 'N');
+  assert.equal(compassPoint(-10), 'N');
+  assert.equal(compassPoint(225), 'SW');
+});
+
+test('wallFacings names the compass point of every wall', () => {
+  const facings = wallFacings({ northAngle: 90, rooms: [room] });
+  assert.deepEqual(facings.map(f => f.facing), ['W', 'N', 'E', 'S']);
+  assert.equal(facings[1].path, 'rooms[0].walls[1]');
+});
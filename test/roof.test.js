@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { offsetPolygon, pointInPolygon, signedArea } from '../geometry.js';
+import { roofLayout } from '../roof.js';
+
+const L = [[0, 0], [10, 0], [10, 4], [4, 4], [4, 8], [0, 8]];
+
+function roofArea(solids) {
+  return solids.filter(s => s.kind === 'roof').reduce((sum, s) => sum + signedArea(s.polygon), 0);
+}
+
+test('a pitched roof over an L-shaped footprint covers the L and its overhang, not the missing corner', () => {
+  ['gable', 'hip', 'shed'].forEach(type => {
+    const solids = roofLayout({ type, overhang: 0.3 }, [L], 0.2);
+    assert.ok(Math.abs(roofArea(solids) - signedArea(offsetPolygon(L, 0.3))) < 1e-6, type);
+    assert.ok(!solids.some(s => pointInPolygon([7, 6], s.polygon)), type);
+  });
+});
+
+test('footprints whose overhangs meet share one roof', () => {
+  const a = [[0, 0], [4, 0], [4, 4], [0, 4]];
+  const b = [[4.1, 0], [10, 0], [10, 6], [4.1, 6]];
+  const peaks = roofLayout({ type: 'hip', overhang: 0.3 }, [a, b], 0.2)
+    .filter(s => s.kind === 'roof')
+    .map(s => Math.max(...s.top));
+  assert.equal(new Set(peaks.map(p => p.toFixed(6))).size, 1);
+});
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { migrateBlueprint } from '../migrate.js';
+import { loadSchema, validateBlueprint } from '../validate.js';
+
+// validate.js fetches its schema, and Node's fetch cannot read files
+globalThis.fetch = async url => ({ ok: true, json: async () => JSON.parse(await readFile(url)) });
+
+function blueprint() {
+  return {
+    wallHeight: 3,
+    wallThickness: 0.2,
+    rooms: [{
+      walls: [
+        { from: [0, 0], to: [4, 0] },
+        { from: [4, 0], to: [4, 3], openings: [{ type: 'window', width: 1, height: 1, offset: 1.5, sillHeight: 0.9 }] }
+      ]
+    }]
+  };
+}
+
+test('the example blueprints are valid', async () => {
+  await loadSchema();
+  for (const name of ['example.json', 'example2.json', 'example3.json']) {
+    const bp = migrateBlueprint(JSON.parse(await readFile(new URL(`../${name}`, import.meta.url))));
+    assert.deepEqual(validateBlueprint(bp), [], name);
+  }
+});
+
+test('misspelt keys are reported where they are', async () => {
+  await loadSchema();
+  const bp = blueprint();
+  bp.wallthickness = 0.3;
+  bp.rooms[0].wallheight = 2.5;
+  bp.rooms[0].walls[0].hieght = 2;
+  bp.rooms[0].walls[1].openings[0].sillheight = 1.1;
+
+  const errors = validateBlueprint(bp);
+  assert.deepEqual(errors.map(e => e.path).sort(), [
+    'rooms[0].wallheight',
+    'rooms[0].walls[0].hieght',
+    'rooms[0].walls[1].openings[0].sillheight',
+    'wallthickness'
+  ]);
+  assert.ok(errors.some(e => e.message === 'rooms[0].walls[1].openings[0].sillheight is not a known property'));
+});
+
+test('dictionaries still check the values of their keys', async () => {
+  await loadSchema();
+  const bp = blueprint();
+  bp.materials = { brick: { color: '#aa5533' }, slate: { roughness: 'high' } };
+
+  assert.deepEqual(validateBlueprint(bp).map(e => e.path), ['materials.slate.roughness']);
+});
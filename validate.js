@@ -0,0 +1,120 @@
+// ==================== SCHEMA ====================
+// blueprint.schema.json is fetched rather than imported, so browsers without JSON modules can
+// still load the viewer; validateBlueprint() works once the promise has resolved
+let schema = null;
+
+export function loadSchema(url = new URL('./blueprint.schema.json', import.meta.url)) {
+  return fetch(url)
+    .then(res => {
+      if (!res.ok) throw new Error(`${url}: ${res.status} ${res.statusText}`);
+      return res.json();
+    })
+    .then(json => {
+      schema = json;
+    });
+}
+
+// ==================== VALIDATION ====================
+// Checks a blueprint against blueprint.schema.json and returns every problem found as
+// { path, message }, e.g. { path: 'rooms[2].walls[1].openings[0].width', message: '... must be > 0' }.
+// Only the schema keywords used by blueprint.schema.json are supported.
+export function validateBlueprint(bp) {
+  if (!schema) throw new Error('The blueprint schema has not been loaded yet');
+  const errors = [];
+  check(bp, schema, '', errors);
+  return errors;
+}
+
+function check(value, rule, path, errors) {
+  if (rule.$ref) rule = resolveRef(rule.$ref);
+
+  const where = path || 'blueprint';
+  const report = msg => errors.push({ path: where, message: `${where} ${msg}` });
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    report(`must be one of ${rule.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    return;
+  }
+
+  if (rule.type && !hasType(value, rule.type)) {
+    report(`must be ${article(rule.type)}`);
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (rule.exclusiveMinimum !== undefined && !(value > rule.exclusiveMinimum)) report(`must be > ${rule.exclusiveMinimum}`);
+    if (rule.minimum !== undefined && value < rule.minimum) report(`must be >= ${rule.minimum}`);
+    if (rule.maximum !== undefined && value > rule.maximum) report(`must be <= ${rule.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (rule.minItems !== undefined && value.length < rule.minItems) report(`must have at least ${rule.minItems} item(s)`);
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) report(`must have at most ${rule.maxItems} item(s)`);
+    if (rule.items) value.forEach((item, i) => check(item, rule.items, `${path}[${i}]`, errors));
+  }
+
+  // none of the alternatives holds: report the first problem of each
+  if (rule.anyOf) {
+    const failures = rule.anyOf.map(sub => {
+      const found = [];
+      check(value, sub, path, found);
+      return found;
+    });
+    if (failures.every(found => found.length > 0)) {
+      report(`must match one of: ${failures.map(found => found[0].message).join(', or ')}`);
+    }
+  }
+
+  if (isObject(value)) {
+    (rule.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push({ path: join(path, key), message: `${join(path, key)} is required` });
+    });
+    Object.entries(rule.properties || {}).forEach(([key, sub]) => {
+      if (value[key] !== undefined) check(value[key], sub, join(path, key), errors);
+    });
+    // every key the rule does not list: checked against additionalProperties (dictionaries), or
+    // reported when that is false, so a misspelt key is not silently ignored
+    if (rule.additionalProperties !== undefined) {
+      Object.entries(value).forEach(([key, item]) => {
+        if (rule.properties && key in rule.properties) return;
+        if (rule.additionalProperties === false) {
+          errors.push({ path: join(path, key), message: `${join(path, key)} is not a known property` });
+        } else {
+          check(item, rule.additionalProperties, join(path, key), errors);
+        }
+      });
+    }
+  }
+}
+
+// ==================== HELPERS ====================
+function resolveRef(ref) {
+  // only local refs like "#/definitions/wall"
+  return ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], schema);
+}
+
+function hasType(value, type) {
+  if (Array.isArray(type)) return type.some(t => hasType(value, t));
+  switch (type) {
+    case 'object': return isObject(value);
+    case 'array': return Array.isArray(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'string': return typeof value === 'string';
+    case 'boolean': return typeof value === 'boolean';
+    default: return true;
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function article(type) {
+  if (Array.isArray(type)) return type.map(article).join(' or ');
+  return (type === 'array' || type === 'object' || type === 'integer') ? `an ${type}` : `a ${type}`;
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
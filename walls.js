@@ -0,0 +1,384 @@
+// ==================== IMPORTS ====================
+import {
+  EPSILON, wallLength, wallPath, shiftPoint, openingSill, signedArea, pointInPolygon, roomOutline, unionOutlines
+} from './geometry.js';
+
+// endpoints closer than this are the same corner
+const JOIN_TOLERANCE = 1e-3;
+// miter points further than this many half-thicknesses from the corner fall back to a square end
+const MITER_LIMIT = 4;
+// how far from a wall to look for the room it bounds
+const INTERIOR_PROBE = 0.01;
+
+// ==================== WALL GRAPH ====================
+// Works out the plan footprint of every wall so that walls meeting at a corner join cleanly
+// instead of overlapping or leaving a notch. Input walls are { from, to, bulge?, left, right }
+// where left/right are the signed offsets of the two faces from the wall's path, measured
+// towards its normal side (see wallPath() in geometry.js; a centred wall of thickness t has
+// left = t/2, right = -t/2); the result holds one footprint polygon ([x, z] points, clockwise)
+// per wall, or null for
+// zero-length walls. Arc walls join along the tangent at their ends.
+//
+// Every wall end is an "arm" leaving a node. The arms at a node are sorted by angle and
+// each side face of an arm is cut where it meets the facing side of its neighbour:
+//  - two walls (L-junction) get a miter,
+//  - a wall ending on the middle of another (T-junction) butts against its face,
+//  - three or more wall ends (Y / X-junctions) meet in the node centre,
+//  - a free end or a straight continuation is cut square.
+export function computeWallFootprints(walls) {
+  const nodes = [];
+  const paths = walls.map(w => (wallLength(w.from, w.to) < EPSILON ? null : wallPath(w)));
+  const ends = paths.map(path => path && { start: nodeAt(nodes, path.from), end: nodeAt(nodes, path.to) });
+
+  // arms leaving each node, one per wall end
+  walls.forEach((w, i) => {
+    const path = paths[i];
+    if (!path) return;
+    ends[i].start.arms.push(arm(w, i, w.from, path.tangentAt(0), false));
+    ends[i].end.arms.push(arm(w, i, w.to, reverse(path.tangentAt(path.length)), true));
+  });
+
+  // walls running through a node (T-junctions) add two arms that are not cut themselves
+  nodes.forEach(node => {
+    walls.forEach((w, i) => {
+      const path = paths[i];
+      if (!path || ends[i].start === node || ends[i].end === node) return;
+      const s = path.locate(node.point, JOIN_TOLERANCE);
+      if (s === null || s < JOIN_TOLERANCE || s > path.length - JOIN_TOLERANCE) return;
+      node.arms.push({ ...arm(w, i, node.point, path.tangentAt(s), false), through: true });
+      node.arms.push({ ...arm(w, i, node.point, reverse(path.tangentAt(s)), true), through: true });
+    });
+  });
+
+  nodes.forEach(cutArms);
+
+  return walls.map((w, i) => {
+    const path = paths[i];
+    if (!path) return null;
+    const start = ends[i].start.arms.find(a => a.wall === i && !a.through && a.from === w.from);
+    const end = ends[i].end.arms.find(a => a.wall === i && !a.through && a.from === w.to);
+
+    // the start arm's left face is the wall's, the end arm's is the wall's right face;
+    // arcs add the points between the ends of each face
+    const rightFace = path.sample(0, path.length, w.right).slice(1, -1);
+    const leftFace = path.sample(path.length, 0, w.left).slice(1, -1);
+    const polygon = [start.right, ...rightFace, end.left, ...end.hub, end.right, ...leftFace, start.left, ...start.hub];
+    return ensureClockwise(dedupe(polygon));
+  });
+}
+
+// ==================== WALL SIZES ====================
+// per-wall value, else the room's default, else the blueprint's
+export function wallThickness(bp, room, w) {
+  return w.thickness ?? room.wallThickness ?? bp.wallThickness;
+}
+
+export function wallHeight(bp, room, w) {
+  return w.height ?? room.wallHeight ?? bp.wallHeight;
+}
+
+// ==================== SHARED WALLS ====================
+// Adjacent rooms describe their common wall once each. mergeSharedWalls() turns the walls of
+// all rooms into the walls to build: walls that coincide (same or reversed endpoints) or are
+// collinear and overlap become a single wall spanning all of them, with the openings of every
+// source re-based onto it. Where the rooms give the shared stretch different heights or
+// thicknesses the larger one wins; a wall that changes height or thickness along its length
+// (a parapet continuing a full-height wall) is split into runs. Returns { walls, conflicts }
+// where each wall is
+//   { from, to, height, thickness, openings, sources: [{ room, wall }], owner }
+// (owner = first room listing it) and each conflict is
+//   { kept: { room, wall, opening }, dropped: { room, wall, opening } }
+// for openings that two rooms place differently in the same spot; the owner's version wins.
+// Merged openings are copies; `flipped` marks those described from the wall's other side.
+export function mergeSharedWalls(bp) {
+  const segments = [];
+  bp.rooms.forEach((room, r) => room.walls.forEach((w, i) => {
+    if (wallLength(w.from, w.to) < EPSILON) return;
+    segments.push({ room: r, wall: i, w, height: wallHeight(bp, room, w), thickness: wallThickness(bp, room, w) });
+  }));
+
+  // union-find over collinear, overlapping segments
+  const parent = segments.map((seg, k) => k);
+  const find = k => (parent[k] === k ? k : (parent[k] = find(parent[k])));
+  for (let a = 0; a < segments.length; a++) {
+    for (let b = a + 1; b < segments.length; b++) {
+      if (overlapsCollinear(segments[a].w, segments[b].w)) parent[find(b)] = find(a);
+    }
+  }
+
+  const groups = new Map();
+  segments.forEach((seg, k) => {
+    const root = find(k);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(seg);
+  });
+
+  const walls = [];
+  const conflicts = [];
+  groups.forEach(group => walls.push(...mergeGroup(bp, group, conflicts)));
+  return { walls, conflicts };
+}
+
+function mergeGroup(bp, group, conflicts) {
+  // the first source (lowest room, then wall index) sets the direction;
+  // positions are distances along its path (extended past its ends for straight walls)
+  const first = group[0].w;
+  const path = wallPath(first);
+  const dir = path.tangentAt(0);
+  const along = path.arc
+    ? p => path.locate(p, JOIN_TOLERANCE)
+    : p => (p[0] - first.from[0]) * dir[0] + (p[1] - first.from[1]) * dir[1];
+  const pointAt = t => (Math.abs(t) < EPSILON ? first.from : path.pointAt(t));
+
+  const spans = group.map(seg => {
+    const a = along(seg.w.from);
+    const b = along(seg.w.to);
+    return { ...seg, lo: Math.min(a, b), hi: Math.max(a, b) };
+  });
+
+  // runs of constant height and thickness between the source endpoints
+  const stops = spans.flatMap(sp => [sp.lo, sp.hi]).sort((a, b) => a - b)
+    .filter((t, k, all) => k === 0 || t - all[k - 1] > JOIN_TOLERANCE);
+  const runs = [];
+  for (let k = 1; k < stops.length; k++) {
+    const covering = spans.filter(sp => sp.lo <= stops[k - 1] + JOIN_TOLERANCE && sp.hi >= stops[k] - JOIN_TOLERANCE);
+    const height = Math.max(...covering.map(sp => sp.height));
+    const thickness = Math.max(...covering.map(sp => sp.thickness));
+    const last = runs[runs.length - 1];
+    if (last && last.height === height && last.thickness === thickness) {
+      last.hi = stops[k];
+      covering.forEach(sp => { if (!last.sources.includes(sp)) last.sources.push(sp); });
+    } else {
+      runs.push({ lo: stops[k - 1], hi: stops[k], height, thickness, sources: covering, openings: [] });
+    }
+  }
+  runs.forEach(run => run.sources.sort((a, b) => a.room - b.room || a.wall - b.wall));
+
+  // openings of every source, placed along the merged line
+  const openings = [];
+  spans.forEach(({ room, wall, w }) => {
+    const start = along(w.from);
+    const flipped = along(w.to) < start;
+    (w.openings || []).forEach((op, k) => {
+      const offset = flipped ? start - op.offset : start + op.offset;
+      const merged = { ...op, offset, flipped, source: { room, wall, opening: k } };
+
+      const clash = openings.find(other => other.source.room !== room && spansOverlap(other, merged));
+      if (!clash) {
+        openings.push(merged);
+      } else if (!sameOpening(clash, merged)) {
+        conflicts.push({ kept: clash.source, dropped: merged.source });
+      }
+    });
+  });
+  // an opening is built in the run its centre falls in; a run it only reaches into just gets
+  // the hole (`holeOnly`)
+  openings.forEach(op => {
+    const home = runs.find(rn => op.offset <= rn.hi + JOIN_TOLERANCE) || runs[runs.length - 1];
+    runs.forEach(run => {
+      const reaches = op.offset - op.width / 2 < run.hi - JOIN_TOLERANCE && op.offset + op.width / 2 > run.lo + JOIN_TOLERANCE;
+      if (run === home || reaches) run.openings.push({ ...op, offset: op.offset - run.lo, holeOnly: run !== home });
+    });
+  });
+
+  return runs.map(run => ({
+    from: pointAt(run.lo),
+    to: (group.length === 1) ? first.to : pointAt(run.hi),
+    bulge: first.bulge,
+    height: run.height,
+    thickness: run.thickness,
+    openings: run.openings,
+    sources: run.sources.map(({ room, wall }) => ({ room, wall })),
+    owner: run.sources[0].room
+  }));
+}
+
+function overlapsCollinear(a, b) {
+  // arcs are only shared when both rooms trace the same arc
+  if (isArc(a) || isArc(b)) return sameArc(a, b);
+
+  const length = wallLength(a.from, a.to);
+  const dx = (a.to[0] - a.from[0]) / length;
+  const dz = (a.to[1] - a.from[1]) / length;
+  const across = p => Math.abs((p[0] - a.from[0]) * dz - (p[1] - a.from[1]) * dx);
+  if (across(b.from) > JOIN_TOLERANCE || across(b.to) > JOIN_TOLERANCE) return false;
+
+  const along = p => (p[0] - a.from[0]) * dx + (p[1] - a.from[1]) * dz;
+  const lo = Math.max(0, Math.min(along(b.from), along(b.to)));
+  const hi = Math.min(length, Math.max(along(b.from), along(b.to)));
+  return hi - lo > JOIN_TOLERANCE; // touching end to end is not sharing
+}
+
+function isArc(w) {
+  return Math.abs(w.bulge || 0) >= EPSILON;
+}
+
+function sameArc(a, b) {
+  const close = (p, q) => wallLength(p, q) < JOIN_TOLERANCE;
+  const bulge = (x, y) => Math.abs((x.bulge || 0) - y) < EPSILON;
+  return (close(a.from, b.from) && close(a.to, b.to) && bulge(a, b.bulge || 0)) ||
+    (close(a.from, b.to) && close(a.to, b.from) && bulge(a, -(b.bulge || 0)));
+}
+
+function spansOverlap(a, b) {
+  return Math.abs(a.offset - b.offset) < (a.width + b.width) / 2 - JOIN_TOLERANCE;
+}
+
+// both rooms describe the same opening (position, size and kind)
+function sameOpening(a, b) {
+  const close = (x, y) => Math.abs(x - y) <= JOIN_TOLERANCE;
+  return a.type === b.type &&
+    close(a.offset, b.offset) &&
+    close(a.width, b.width) &&
+    close(a.height, b.height) &&
+    close(openingSill(a), openingSill(b));
+}
+
+// ==================== REFERENCE LINES ====================
+// A wall's from→to line is its inner face, centre line or outer face: `reference` on the
+// wall, else on the blueprint, else 'center'. wallFaces() turns that into the face offsets
+// computeWallFootprints() needs, for every merged wall: { left, right }.
+// Rooms sharing a wall can disagree about the side it grows to (two rooms both measured to
+// their inner faces) or about its thickness; such walls are centred on the shared line.
+export function wallFaces(bp, walls) {
+  return walls.map(w => {
+    const offsets = w.sources.map(src => {
+      const room = bp.rooms[src.room];
+      const source = room.walls[src.wall];
+      const t = wallThickness(bp, room, source);
+      const [left, right] = faceOffsets(source.reference || bp.reference || 'center', t, interiorOnLeft(room, source));
+      // as seen along the merged wall's direction
+      return sameDirection(source, w) ? [left, right] : [-right, -left];
+    });
+
+    const [left, right] = offsets[0];
+    const agree = offsets.every(([l, r]) => Math.abs(l - left) < EPSILON && Math.abs(r - right) < EPSILON);
+    return agree ? { left, right } : { left: w.thickness / 2, right: -w.thickness / 2 };
+  });
+}
+
+// the rooms either side of every merged wall: { left, right } (left on its normal side) with
+// the { room, wall } source of the first room on that side, or null where the wall faces outside
+export function wallSides(bp, walls) {
+  return walls.map(w => {
+    const sides = { left: null, right: null };
+    w.sources.forEach(src => {
+      const room = bp.rooms[src.room];
+      const source = room.walls[src.wall];
+      const side = (interiorOnLeft(room, source) === sameDirection(source, w)) ? 'left' : 'right';
+      if (!sides[side]) sides[side] = src;
+    });
+    return sides;
+  });
+}
+
+// outer footprints of a level, for the roof: its indoor rooms and the walls around them,
+// merged where they touch (see unionOutlines() in geometry.js)
+export function outerFootprints(bp) {
+  const { walls } = mergeSharedWalls(bp);
+  const faces = wallFaces(bp, walls);
+  const footprints = computeWallFootprints(walls.map((w, k) => ({ from: w.from, to: w.to, bulge: w.bulge, ...faces[k] })));
+  const indoor = bp.rooms.map(room => !room.outdoor);
+  const rooms = bp.rooms.filter(room => !room.outdoor).map(room => ensureClockwise(roomOutline(room)));
+  const around = footprints.filter((footprint, k) => footprint && walls[k].sources.some(src => indoor[src.room]));
+  return unionOutlines(rooms.concat(around));
+}
+
+function faceOffsets(reference, t, interiorLeft) {
+  if (reference === 'center') return [t / 2, -t / 2];
+  // the wall grows away from the room for 'inner', into it for 'outer'
+  const growsLeft = (reference === 'inner') !== interiorLeft;
+  return growsLeft ? [t, 0] : [0, -t];
+}
+
+// whether the room is on the wall's normal side, probed just off its midpoint
+export function interiorOnLeft(room, w) {
+  const path = wallPath(w);
+  const probe = shiftPoint(path.pointAt(path.length / 2), path.normalAt(path.length / 2), INTERIOR_PROBE);
+  return pointInPolygon(probe, roomOutline(room));
+}
+
+function sameDirection(a, b) {
+  return (a.to[0] - a.from[0]) * (b.to[0] - b.from[0]) + (a.to[1] - a.from[1]) * (b.to[1] - b.from[1]) > 0;
+}
+
+// ==================== JOINS ====================
+function cutArms(node) {
+  const arms = node.arms;
+  arms.sort((a, b) => a.angle - b.angle);
+
+  // the node centre closes the gap between three or more ends, unless a wall runs through it
+  const hub = (arms.length >= 3 && !arms.some(a => a.through)) ? [node.point] : [];
+
+  arms.forEach((a, k) => {
+    if (a.through) return;
+    if (arms.length === 1) {
+      a.left = shiftPoint(node.point, a.normal, a.l);
+      a.right = shiftPoint(node.point, a.normal, a.r);
+      a.hub = [];
+      return;
+    }
+
+    const next = arms[(k + 1) % arms.length]; // clockwise neighbour, faces our left (normal) side
+    const prev = arms[(k - 1 + arms.length) % arms.length]; // anticlockwise neighbour, faces our right side
+    a.left = sideCorner(node.point, a, a.l, next, next.r);
+    a.right = sideCorner(node.point, a, a.r, prev, prev.l);
+    a.hub = hub;
+  });
+}
+
+// where the side of arm `a` at signed offset `sa` meets the side of arm `b` at offset `sb`;
+// parallel sides or runaway miters give a square end instead
+function sideCorner(point, a, sa, b, sb) {
+  const square = shiftPoint(point, a.normal, sa);
+  const p = square;
+  const q = shiftPoint(point, b.normal, sb);
+
+  const cross = a.dir[0] * b.dir[1] - a.dir[1] * b.dir[0];
+  if (Math.abs(cross) < 1e-9) return square;
+
+  // solve p + s * a.dir = q + u * b.dir for s
+  const s = ((q[0] - p[0]) * b.dir[1] - (q[1] - p[1]) * b.dir[0]) / cross;
+  if (Math.abs(s) > MITER_LIMIT * Math.max(a.half, b.half)) return square;
+
+  return [p[0] + a.dir[0] * s, p[1] + a.dir[1] * s];
+}
+
+// ==================== HELPERS ====================
+function nodeAt(nodes, point) {
+  let node = nodes.find(n => wallLength(n.point, point) < JOIN_TOLERANCE);
+  if (!node) {
+    node = { point, arms: [] };
+    nodes.push(node);
+  }
+  return node;
+}
+
+// an arm leaving `from` in direction `dir`; one running against the wall's direction sees
+// its faces swapped and mirrored
+function arm(w, index, from, dir, reversed) {
+  const l = reversed ? -w.right : w.left;
+  const r = reversed ? -w.left : w.right;
+  return {
+    wall: index,
+    from,
+    dir,
+    normal: [-dir[1], dir[0]], // the direction of travel turned a quarter clockwise
+    angle: Math.atan2(dir[1], dir[0]),
+    l, // offset of the left face, towards the normal
+    r, // offset of the right face
+    half: Math.max(Math.abs(l), Math.abs(r))
+  };
+}
+
+function reverse(dir) {
+  return [-dir[0], -dir[1]];
+}
+
+function dedupe(polygon) {
+  return polygon.filter((p, k) => wallLength(p, polygon[(k + 1) % polygon.length]) > EPSILON);
+}
+
+function ensureClockwise(polygon) {
+  return signedArea(polygon) < 0 ? polygon.reverse() : polygon;
+}